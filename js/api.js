@@ -1,23 +1,92 @@
 // ===== MODULE API TMDB =====
 // Gère toutes les interactions avec l'API The Movie Database
 
-import { API_KEY } from './config.js';
+import { API_KEY, API_BASE_URL, IMAGE_BASE_URL, CANVAS_IMAGE_BASE_URL } from './config.js';
+import { cachedRequest, TTL } from './cache.js';
+import { fetchJson, isAbortError } from './http.js';
+import { getApiLanguage, getRegion } from './i18n.js';
 
-const BASE_URL = 'https://api.themoviedb.org/3';
-const IMAGE_BASE_URL = 'https://image.tmdb.org/t/p';
+// Nombre minimum de votes par défaut (évite les films obscurs)
+export const DEFAULT_MIN_VOTES = 100;
+
+// Tri de /discover/movie quand aucun classement n'est précisé (voir ranking.js)
+const DEFAULT_SORT = 'vote_average.desc';
+
+// Taille du classement (Top N) proposée à l'utilisateur
+export const RESULTS_COUNTS = [3, 4, 5, 8, 10];
+export const DEFAULT_RESULTS_COUNT = 4;
+
+// Dernière page accessible via l'API TMDB
+const MAX_PAGE = 500;
+
+// Types de contenu proposés : films ou séries (mêmes endpoints TMDB, préfixés par le type)
+export const MEDIA_TYPES = ['movie', 'tv'];
+export const DEFAULT_MEDIA_TYPE = 'movie';
+
+// Type de contenu courant (recherche, découverte, recommandations, plateformes)
+let currentMediaType = DEFAULT_MEDIA_TYPE;
+
+// Politique de cache par type d'endpoint
+const CACHE_POLICIES = {
+    genres: { ttl: 7 * TTL.DAY, persist: true },
+    details: { ttl: TTL.DAY, persist: true },
+    providers: { ttl: 12 * TTL.HOUR, persist: true },
+    discover: { ttl: TTL.HOUR, persist: false },
+    search: { ttl: 10 * TTL.MINUTE, persist: false }
+};
+
+// ===== MEDIA TYPE =====
+
+/**
+ * @returns {string} Type de contenu courant ('movie' ou 'tv')
+ */
+export const getMediaType = () => currentMediaType;
+
+/**
+ * Change le type de contenu des prochaines requêtes
+ * @param {string} mediaType - 'movie' ou 'tv' (ignoré si inconnu)
+ */
+export const setMediaType = (mediaType) => {
+    if (MEDIA_TYPES.includes(mediaType)) {
+        currentMediaType = mediaType;
+    }
+};
+
+/**
+ * Ramène une série au format d'un film (titre, date de sortie) et note son type
+ * Le reste de l'application lit title et release_date sans se soucier du type
+ * @param {Object} item - Film ou série TMDB
+ * @param {string} mediaType - 'movie' ou 'tv'
+ * @returns {Object} Élément normalisé (avec media_type)
+ */
+const normalizeMedia = (item, mediaType) => {
+    if (mediaType !== 'tv') {
+        return { ...item, media_type: 'movie' };
+    }
+    
+    return {
+        ...item,
+        title: item.title ?? item.name,
+        original_title: item.original_title ?? item.original_name,
+        release_date: item.release_date ?? item.first_air_date,
+        media_type: 'tv'
+    };
+};
 
 // ===== HELPER FUNCTIONS =====
 
 /**
- * Construit une URL pour l'API TMDB
+ * Construit une URL pour l'API TMDB (via le proxy si API_BASE_URL est relative)
  * @param {string} endpoint - L'endpoint de l'API (ex: '/discover/movie')
  * @param {Object} params - Paramètres de requête additionnels
  * @returns {string} URL complète
  */
 const buildUrl = (endpoint, params = {}) => {
-    const url = new URL(`${BASE_URL}${endpoint}`);
-    url.searchParams.append('api_key', API_KEY);
-    url.searchParams.append('language', 'fr-FR');
+    const url = new URL(`${API_BASE_URL}${endpoint}`, window.location.href);
+    if (API_KEY) {
+        url.searchParams.append('api_key', API_KEY);
+    }
+    url.searchParams.append('language', getApiLanguage());
     
     Object.entries(params).forEach(([key, value]) => {
         if (value !== null && value !== undefined && value !== '') {
@@ -28,27 +97,75 @@ const buildUrl = (endpoint, params = {}) => {
     return url.toString();
 };
 
+/**
+ * Calcule la clé de cache d'une URL (sans la clé API)
+ * L'hôte fait partie de la clé : les données de démo ne se mélangent pas aux vraies
+ * @param {string} url - URL complète de la requête
+ * @returns {string} Clé de cache
+ */
+const getCacheKey = (url) => {
+    const cacheUrl = new URL(url);
+    cacheUrl.searchParams.delete('api_key');
+    return `${cacheUrl.host}${cacheUrl.pathname}?${cacheUrl.searchParams.toString()}`;
+};
+
 /**
  * Effectue une requête à l'API TMDB
+ * Les erreurs transitoires (réseau, 5xx, 429) sont retentées par fetchJson
  * @param {string} url - URL complète de la requête
+ * @param {Object} options - Options de requête ({ signal })
  * @returns {Promise<Object>} Données JSON de la réponse
- * @throws {Error} Si la requête échoue
+ * @throws {AppError} Erreur typée (voir errors.js), ou AbortError si annulée
  */
-const fetchApi = async (url) => {
+const requestJson = async (url, options = {}) => {
     try {
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            throw new Error(`Erreur API: ${response.status} - ${response.statusText}`);
-        }
-        
-        return await response.json();
+        return await fetchJson(url, options);
     } catch (error) {
-        console.error('Erreur lors de la requête API:', error);
+        if (!isAbortError(error)) {
+            console.error('Erreur lors de la requête API:', error);
+        }
         throw error;
     }
 };
 
+/**
+ * Effectue une requête à l'API TMDB en passant par le cache
+ * @param {string} url - URL complète de la requête
+ * @param {Object} cachePolicy - Politique de cache ({ ttl, persist })
+ * @param {Object} options - Options de requête ({ signal })
+ * @returns {Promise<Object>} Données JSON de la réponse
+ * @throws {AppError} Erreur typée (voir errors.js), ou AbortError si annulée
+ */
+const fetchApi = (url, cachePolicy, options = {}) => {
+    return cachedRequest(getCacheKey(url), () => requestJson(url, options), cachePolicy, options.signal);
+};
+
+/**
+ * Normalise une réponse paginée de TMDB
+ * TMDB refuse les pages au-delà de 500 : on plafonne le total
+ * @param {Object} data - Réponse brute ({ results, page, total_pages })
+ * @param {string} mediaType - Type des résultats ('movie' ou 'tv')
+ * @returns {Object} { results, page, totalPages }
+ */
+const toPage = (data, mediaType) => ({
+    results: (data.results || []).map(item => normalizeMedia(item, mediaType)),
+    page: data.page || 1,
+    totalPages: Math.min(data.total_pages || 1, MAX_PAGE)
+});
+
+/**
+ * Remet les bornes d'une plage dans l'ordre (min, max)
+ * @param {string|number} min - Borne basse (vide si absente)
+ * @param {string|number} max - Borne haute (vide si absente)
+ * @returns {Array} [min, max] avec les bornes absentes conservées telles quelles
+ */
+const orderRange = (min, max) => {
+    if (min && max && Number(min) > Number(max)) {
+        return [max, min];
+    }
+    return [min, max];
+};
+
 /**
  * Construit une URL complète pour une image TMDB
  * @param {string} path - Chemin de l'image (ex: '/abc123.jpg')
@@ -60,51 +177,95 @@ export const getImageUrl = (path, size = 'w500') => {
     return `${IMAGE_BASE_URL}/${size}${path}`;
 };
 
+/**
+ * Construit l'URL d'une image TMDB à dessiner sur un canvas (même origine, via le proxy)
+ * @param {string} path - Chemin de l'image (ex: '/abc123.jpg')
+ * @param {string} size - Taille souhaitée (ex: 'w342')
+ * @returns {string|null} URL de l'image, ou null sans chemin
+ */
+export const getCanvasImageUrl = (path, size = 'w500') => {
+    if (!path) return null;
+    return `${CANVAS_IMAGE_BASE_URL}/${size}${path}`;
+};
+
 // ===== GENRES =====
 
 /**
- * Récupère la liste de tous les genres de films
+ * Récupère la liste des genres du type de contenu courant (films ou séries)
  * @returns {Promise<Array>} Liste des genres
+ * @throws {AppError} Si la requête échoue
  */
 export const getGenres = async () => {
     try {
-        const url = buildUrl('/genre/movie/list');
-        const data = await fetchApi(url);
+        const url = buildUrl(`/genre/${currentMediaType}/list`);
+        const data = await fetchApi(url, CACHE_POLICIES.genres);
         return data.genres;
     } catch (error) {
         console.error('Erreur lors de la récupération des genres:', error);
-        return [];
+        throw error;
     }
 };
 
 // ===== DISCOVER MOVIES =====
 
 /**
- * Découvre des films selon des filtres
+ * Découvre une page de films (ou de séries) selon des filtres
+ * TMDB date les séries par leur première diffusion et ne filtre pas leurs acteurs
  * @param {Object} filters - Filtres de recherche
- * @param {string} filters.genre - ID du genre
- * @param {string} filters.year - Année de sortie
+ * @param {Array<number>} filters.genres - IDs des genres recherchés
+ * @param {string} filters.genreMode - 'and' (tous les genres) ou 'or' (au moins un)
+ * @param {Array<number>} filters.excludedGenres - IDs des genres exclus
+ * @param {string} filters.yearFrom - Première année de sortie
+ * @param {string} filters.yearTo - Dernière année de sortie
  * @param {string} filters.country - Code langue du pays
- * @param {string} filters.platform - ID de la plateforme streaming
- * @param {string} filters.actor - ID de l'acteur
- * @returns {Promise<Array>} Top 4 des films
+ * @param {Array<number>} filters.platforms - IDs des plateformes streaming (au moins une)
+ * @param {Array<string>} filters.monetization - Types d'accès (flatrate, free, ads, rent, buy)
+ * @param {string} filters.actor - ID de l'acteur (films uniquement)
+ * @param {string} filters.crew - ID d'un membre de l'équipe : réalisation, scénario, musique... (films uniquement)
+ * @param {Array<number>} filters.keywords - IDs des mots-clés recherchés
+ * @param {string} filters.keywordMode - 'and' (tous les mots-clés) ou 'or' (au moins un)
+ * @param {Array<number>} filters.excludedKeywords - IDs des mots-clés exclus
+ * @param {string} filters.minRating - Note minimale (0-10)
+ * @param {string} filters.runtimeMin - Durée minimale (minutes, par épisode pour une série)
+ * @param {string} filters.runtimeMax - Durée maximale (minutes, par épisode pour une série)
+ * @param {string} filters.minVotes - Nombre minimum de votes
+ * @param {number} page - Numéro de page TMDB (à partir de 1)
+ * @param {Object} options - Options
+ * @param {string} options.sortBy - Tri TMDB (ex: 'popularity.desc')
+ * @returns {Promise<Object>} { results, page, totalPages }
  */
-export const discoverMovies = async (filters) => {
+export const discoverMoviesPage = async (filters, page = 1, { sortBy = DEFAULT_SORT } = {}) => {
+    const mediaType = currentMediaType;
+    const dateParam = mediaType === 'tv' ? 'first_air_date' : 'primary_release_date';
+    
     try {
         const params = {
-            sort_by: 'vote_average.desc',
-            'vote_count.gte': 100, // Au moins 100 votes pour éviter les films obscurs
-            include_adult: false
+            sort_by: sortBy.replace('primary_release_date', dateParam),
+            // Minimum de votes pour éviter les films obscurs
+            'vote_count.gte': filters.minVotes !== undefined && filters.minVotes !== ''
+                ? filters.minVotes
+                : DEFAULT_MIN_VOTES,
+            include_adult: false,
+            page
         };
         
-        // Genre
-        if (filters.genre) {
-            params.with_genres = filters.genre;
+        // Genres (ET : virgules, OU : barres verticales)
+        if (filters.genres?.length) {
+            params.with_genres = filters.genres.join(filters.genreMode === 'or' ? '|' : ',');
         }
         
-        // Année
-        if (filters.year) {
-            params.primary_release_year = filters.year;
+        // Genres exclus
+        if (filters.excludedGenres?.length) {
+            params.without_genres = filters.excludedGenres.join(',');
+        }
+        
+        // Plage d'années (dans le bon ordre même si inversée)
+        const [yearFrom, yearTo] = orderRange(filters.yearFrom, filters.yearTo);
+        if (yearFrom) {
+            params[`${dateParam}.gte`] = `${yearFrom}-01-01`;
+        }
+        if (yearTo) {
+            params[`${dateParam}.lte`] = `${yearTo}-12-31`;
         }
         
         // Pays (langue originale)
@@ -112,101 +273,248 @@ export const discoverMovies = async (filters) => {
             params.with_original_language = filters.country;
         }
         
-        // Plateforme streaming
-        if (filters.platform) {
-            params.with_watch_providers = filters.platform;
-            params.watch_region = 'FR';
+        // Plateformes streaming (au moins une)
+        if (filters.platforms?.length) {
+            params.with_watch_providers = filters.platforms.join('|');
+        }
+        
+        // Types d'accès (abonnement, location...)
+        if (filters.monetization?.length) {
+            params.with_watch_monetization_types = filters.monetization.join('|');
         }
         
-        // Acteur
-        if (filters.actor) {
+        if (params.with_watch_providers || params.with_watch_monetization_types) {
+            params.watch_region = getRegion();
+        }
+        
+        // Acteur ou membre de l'équipe (/discover/tv n'a pas d'équivalent)
+        if (filters.actor && mediaType === 'movie') {
             params.with_cast = filters.actor;
         }
+        if (filters.crew && mediaType === 'movie') {
+            params.with_crew = filters.crew;
+        }
+        
+        // Mots-clés (ET : virgules, OU : barres verticales) et mots-clés exclus
+        if (filters.keywords?.length) {
+            params.with_keywords = filters.keywords.join(filters.keywordMode === 'or' ? '|' : ',');
+        }
+        if (filters.excludedKeywords?.length) {
+            params.without_keywords = filters.excludedKeywords.join(',');
+        }
+        
+        // Note minimale
+        if (filters.minRating) {
+            params['vote_average.gte'] = filters.minRating;
+        }
         
-        const url = buildUrl('/discover/movie', params);
-        const data = await fetchApi(url);
+        // Durée
+        const [runtimeMin, runtimeMax] = orderRange(filters.runtimeMin, filters.runtimeMax);
+        if (runtimeMin) {
+            params['with_runtime.gte'] = runtimeMin;
+        }
+        if (runtimeMax) {
+            params['with_runtime.lte'] = runtimeMax;
+        }
+        
+        const url = buildUrl(`/discover/${mediaType}`, params);
+        const data = await fetchApi(url, CACHE_POLICIES.discover);
         
-        // Retourner seulement les 4 premiers films
-        return data.results.slice(0, 4);
+        return toPage(data, mediaType);
     } catch (error) {
         console.error('Erreur lors de la découverte de films:', error);
         throw error;
     }
 };
 
+/**
+ * Découvre des films selon des filtres
+ * @param {Object} filters - Filtres de recherche (voir discoverMoviesPage)
+ * @param {number} count - Taille du classement
+ * @param {Object} options - Options
+ * @param {number} options.page - Page TMDB dont sont tirés les films
+ * @param {string} options.sortBy - Tri TMDB (ex: 'popularity.desc')
+ * @returns {Promise<Array>} Top N des films
+ */
+export const discoverMovies = async (filters, count = DEFAULT_RESULTS_COUNT, { page = 1, sortBy } = {}) => {
+    const { results } = await discoverMoviesPage(filters, page, { sortBy });
+    
+    // Retourner seulement les N premiers films
+    return results.slice(0, count);
+};
+
 // ===== SEARCH =====
 
 /**
- * Recherche des films par nom
+ * Recherche des films (ou des séries) par nom
  * @param {string} query - Terme de recherche
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Annule la recherche (saisie plus récente)
  * @returns {Promise<Array>} Liste de films correspondants
+ * @throws {AppError} Si la requête échoue
  */
-export const searchMovie = async (query) => {
+export const searchMovie = async (query, { signal } = {}) => {
     try {
         if (!query || query.trim().length < 2) {
             return [];
         }
         
-        const url = buildUrl('/search/movie', { query: query.trim() });
-        const data = await fetchApi(url);
-        return data.results.slice(0, 10); // Limiter à 10 résultats
+        const mediaType = currentMediaType;
+        const url = buildUrl(`/search/${mediaType}`, { query: query.trim() });
+        const data = await fetchApi(url, CACHE_POLICIES.search, { signal });
+        return toPage(data, mediaType).results.slice(0, 10); // Limiter à 10 résultats
     } catch (error) {
-        console.error('Erreur lors de la recherche de films:', error);
-        return [];
+        if (!isAbortError(error)) {
+            console.error('Erreur lors de la recherche de films:', error);
+        }
+        throw error;
     }
 };
 
 /**
  * Recherche des acteurs/personnes par nom
  * @param {string} query - Terme de recherche
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Annule la recherche (saisie plus récente)
  * @returns {Promise<Array>} Liste de personnes correspondantes
+ * @throws {AppError} Si la requête échoue
  */
-export const searchPerson = async (query) => {
+export const searchPerson = async (query, { signal } = {}) => {
     try {
         if (!query || query.trim().length < 2) {
             return [];
         }
         
         const url = buildUrl('/search/person', { query: query.trim() });
-        const data = await fetchApi(url);
+        const data = await fetchApi(url, CACHE_POLICIES.search, { signal });
+        return data.results.slice(0, 10); // Limiter à 10 résultats
+    } catch (error) {
+        if (!isAbortError(error)) {
+            console.error('Erreur lors de la recherche de personnes:', error);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Recherche des mots-clés TMDB ("time travel", "heist"...)
+ * @param {string} query - Terme de recherche
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Annule la recherche (saisie plus récente)
+ * @returns {Promise<Array>} Liste de mots-clés ({ id, name })
+ * @throws {AppError} Si la requête échoue
+ */
+export const searchKeyword = async (query, { signal } = {}) => {
+    try {
+        if (!query || query.trim().length < 2) {
+            return [];
+        }
+        
+        const url = buildUrl('/search/keyword', { query: query.trim() });
+        const data = await fetchApi(url, CACHE_POLICIES.search, { signal });
         return data.results.slice(0, 10); // Limiter à 10 résultats
     } catch (error) {
-        console.error('Erreur lors de la recherche de personnes:', error);
-        return [];
+        if (!isAbortError(error)) {
+            console.error('Erreur lors de la recherche de mots-clés:', error);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Récupère un mot-clé par son ID (restauration d'un lien partagé)
+ * @param {number} keywordId - ID du mot-clé
+ * @returns {Promise<Object>} Mot-clé ({ id, name })
+ * @throws {AppError} Si la requête échoue
+ */
+export const getKeyword = async (keywordId) => {
+    try {
+        const url = buildUrl(`/keyword/${keywordId}`);
+        return await fetchApi(url, CACHE_POLICIES.details);
+    } catch (error) {
+        console.error('Erreur lors de la récupération du mot-clé:', error);
+        throw error;
     }
 };
 
 // ===== SIMILAR MOVIES =====
 
 /**
- * Récupère les films similaires à un film donné
+ * Récupère une page de recommandations pour un film (ou une série) donné
  * @param {number} movieId - ID du film de référence
- * @returns {Promise<Array>} Top 4 des films similaires
+ * @param {number} page - Numéro de page TMDB (à partir de 1)
+ * @returns {Promise<Object>} { results, page, totalPages }
  */
-export const getSimilarMovies = async (movieId) => {
+export const getSimilarMoviesPage = async (movieId, page = 1) => {
+    const mediaType = currentMediaType;
+    
     try {
-        const url = buildUrl(`/movie/${movieId}/recommendations`);
-        const data = await fetchApi(url);
+        const url = buildUrl(`/${mediaType}/${movieId}/recommendations`, { page });
+        const data = await fetchApi(url, CACHE_POLICIES.discover);
         
-        // Retourner les 4 meilleurs films similaires
-        return data.results.slice(0, 4);
+        return toPage(data, mediaType);
     } catch (error) {
         console.error('Erreur lors de la récupération des films similaires:', error);
         throw error;
     }
 };
 
+/**
+ * Récupère les films similaires à un film donné
+ * @param {number} movieId - ID du film de référence
+ * @param {number} count - Taille du classement
+ * @returns {Promise<Array>} Top N des films similaires
+ */
+export const getSimilarMovies = async (movieId, count = DEFAULT_RESULTS_COUNT) => {
+    const { results } = await getSimilarMoviesPage(movieId);
+    
+    // Retourner les N meilleurs films similaires
+    return results.slice(0, count);
+};
+
+// ===== PERSON CREDITS =====
+
+/**
+ * Récupère la filmographie complète d'une personne (rôles devant et derrière la caméra)
+ * Un même film peut apparaître plusieurs fois (acteur et réalisateur, plusieurs postes...)
+ * @param {number} personId - ID de la personne
+ * @returns {Promise<Object>} { cast, crew } : films (ou séries) normalisés, avec character / job et department
+ * @throws {AppError} Si la requête échoue
+ */
+export const getPersonCredits = async (personId) => {
+    const mediaType = currentMediaType;
+    
+    try {
+        const url = buildUrl(`/person/${personId}/${mediaType}_credits`);
+        const data = await fetchApi(url, CACHE_POLICIES.details);
+        
+        return {
+            cast: (data.cast || []).map(item => normalizeMedia(item, mediaType)),
+            crew: (data.crew || []).map(item => normalizeMedia(item, mediaType))
+        };
+    } catch (error) {
+        console.error('Erreur lors de la récupération de la filmographie:', error);
+        throw error;
+    }
+};
+
 // ===== MOVIE DETAILS =====
 
 /**
- * Récupère les détails complets d'un film
- * @param {number} movieId - ID du film
- * @returns {Promise<Object>} Détails du film
+ * Récupère les détails complets d'un film ou d'une série, avec générique et vidéos
+ * (une seule requête grâce à append_to_response)
+ * @param {number} movieId - ID du film ou de la série
+ * @param {string} mediaType - 'movie' ou 'tv' (défaut : type courant)
+ * @returns {Promise<Object>} Détails normalisés (+ credits, videos ; saisons et épisodes pour une série)
  */
-export const getMovieDetails = async (movieId) => {
+export const getMovieDetails = async (movieId, mediaType = currentMediaType) => {
     try {
-        const url = buildUrl(`/movie/${movieId}`);
-        return await fetchApi(url);
+        const url = buildUrl(`/${mediaType}/${movieId}`, {
+            append_to_response: 'credits,videos',
+            // Vidéos dans la langue courante, puis en anglais ou sans langue
+            include_video_language: [...new Set([getApiLanguage().split('-')[0], 'en', 'null'])].join(',')
+        });
+        return normalizeMedia(await fetchApi(url, CACHE_POLICIES.details), mediaType);
     } catch (error) {
         console.error('Erreur lors de la récupération des détails du film:', error);
         throw error;
@@ -216,23 +524,45 @@ export const getMovieDetails = async (movieId) => {
 // ===== WATCH PROVIDERS =====
 
 /**
- * Récupère les plateformes de streaming disponibles pour un film
- * @param {number} movieId - ID du film
- * @returns {Promise<Object|null>} Informations de streaming pour la France
+ * Récupère les plateformes de streaming disponibles pour un film ou une série
+ * @param {number} movieId - ID du film ou de la série
+ * @param {string} mediaType - 'movie' ou 'tv' (défaut : type courant)
+ * @returns {Promise<Object|null>} Informations de streaming pour la région courante
  */
-export const getWatchProviders = async (movieId) => {
+export const getWatchProviders = async (movieId, mediaType = currentMediaType) => {
     try {
-        const url = buildUrl(`/movie/${movieId}/watch/providers`);
-        const data = await fetchApi(url);
+        const url = buildUrl(`/${mediaType}/${movieId}/watch/providers`);
+        const data = await fetchApi(url, CACHE_POLICIES.providers);
         
-        // Retourner les infos pour la France
-        return data.results?.FR || null;
+        // Retourner les infos pour la région de streaming choisie
+        return data.results?.[getRegion()] || null;
     } catch (error) {
         console.error('Erreur lors de la récupération des plateformes:', error);
         return null;
     }
 };
 
+/**
+ * Récupère le catalogue des plateformes streaming de la région courante (pour le type courant)
+ * @returns {Promise<Array>} Plateformes triées par priorité d'affichage
+ * @throws {AppError} Si la requête échoue
+ */
+export const getProviderCatalog = async () => {
+    try {
+        const region = getRegion();
+        const url = buildUrl(`/watch/providers/${currentMediaType}`, { watch_region: region });
+        const data = await fetchApi(url, CACHE_POLICIES.providers);
+        
+        // Priorité propre à la région si disponible, sinon priorité globale
+        const priority = (provider) => provider.display_priorities?.[region] ?? provider.display_priority ?? Infinity;
+        
+        return [...(data.results || [])].sort((a, b) => priority(a) - priority(b));
+    } catch (error) {
+        console.error('Erreur lors de la récupération du catalogue des plateformes:', error);
+        throw error;
+    }
+};
+
 /**
  * Récupère le logo d'une plateforme streaming
  * @param {string} logoPath - Chemin du logo
@@ -248,6 +578,7 @@ export const IMAGE_SIZES = {
     POSTER_SMALL: 'w185',
     POSTER_MEDIUM: 'w342',
     POSTER_LARGE: 'w500',
+    POSTER_XLARGE: 'w780',
     POSTER_ORIGINAL: 'original',
     BACKDROP_SMALL: 'w300',
     BACKDROP_MEDIUM: 'w780',
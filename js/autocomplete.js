@@ -0,0 +1,404 @@
+// ===== MODULE AUTOCOMPLETE =====
+// Champ de recherche avec suggestions (motif ARIA combobox), partagé par les acteurs et les films
+
+import { t } from './i18n.js';
+import { renderError } from './errors.js';
+import { html, setHTML } from './dom.js';
+
+const DEBOUNCE_DELAY = 300; // Attente après la dernière frappe (ms)
+const MIN_QUERY_LENGTH = 2;
+const MAX_RECENT = 5; // Sélections récentes proposées au focus
+const RECENT_STORAGE_PREFIX = '4films:recent:';
+
+// ===== HELPERS =====
+
+/**
+ * Normalise un texte pour la comparaison (casse et accents ignorés)
+ * @param {string} text - Texte à normaliser
+ * @returns {string} Texte normalisé
+ */
+const foldText = (text) => {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+};
+
+/**
+ * Met en évidence la partie d'un texte qui correspond à la recherche
+ * @param {string} text - Texte affiché
+ * @param {string} query - Recherche saisie
+ * @returns {SafeHTML} Texte échappé, avec la correspondance dans un <mark>
+ */
+export const highlightMatch = (text, query) => {
+    const chars = [...text];
+    const folded = chars.map(foldText);
+    const needle = foldText(query.trim());
+    
+    // Correspondance caractère par caractère uniquement (sinon les positions seraient décalées)
+    const start = needle && folded.every(char => char.length === 1) ? folded.join('').indexOf(needle) : -1;
+    if (start === -1) return html`${text}`;
+    
+    const end = start + needle.length;
+    return html`${chars.slice(0, start).join('')}<mark>${chars.slice(start, end).join('')}</mark>${chars.slice(end).join('')}`;
+};
+
+// ===== RECENT SELECTIONS =====
+
+/**
+ * Charge les sélections récentes d'un champ
+ * @param {string} key - Identifiant du champ
+ * @returns {Array} Éléments (du plus récent au plus ancien)
+ */
+const loadRecent = (key) => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(RECENT_STORAGE_PREFIX + key));
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+/**
+ * Enregistre les sélections récentes d'un champ
+ * @param {string} key - Identifiant du champ
+ * @param {Array} items - Éléments (du plus récent au plus ancien)
+ */
+const saveRecent = (key, items) => {
+    try {
+        localStorage.setItem(RECENT_STORAGE_PREFIX + key, JSON.stringify(items));
+    } catch (error) {
+        console.warn('Impossible d\'enregistrer les sélections récentes:', error);
+    }
+};
+
+// ===== COMPONENT =====
+
+/**
+ * Crée un autocomplete accessible sur un champ texte
+ * Clavier : flèches haut/bas, Début/Fin, Entrée pour choisir, Échap pour fermer (puis vider)
+ * @param {Object} options - Options
+ * @param {HTMLInputElement} options.input - Champ de saisie
+ * @param {HTMLElement} options.listbox - Conteneur des suggestions (doit avoir un id)
+ * @param {Function} options.search - Recherche (query, { signal }) => Promise<Array>
+ * @param {Function} options.renderItem - Contenu d'une suggestion (item, query) => SafeHTML
+ * @param {Function} options.getLabel - Texte d'un élément, recopié dans le champ après sélection
+ * @param {Function} options.onSelect - Appelée avec l'élément choisi
+ * @param {Function} options.onClear - Appelée quand le texte d'une sélection est modifié
+ * @param {string} options.emptyKey - Clé du message "aucun résultat"
+ * @param {string|Function} options.recentKey - Identifiant des sélections récentes, ou fonction qui le renvoie (pas d'historique si absent)
+ * @param {Function} options.toRecent - Champs conservés dans l'historique (défaut : l'élément entier)
+ * @param {boolean} options.clearOnSelect - Vider le champ après une sélection (ajout multiple)
+ * @returns {Object} { setSelection, clear, close }
+ */
+export const createAutocomplete = ({
+    input,
+    listbox,
+    search,
+    renderItem,
+    getLabel,
+    onSelect,
+    onClear = () => {},
+    emptyKey,
+    recentKey = null,
+    toRecent = item => item,
+    clearOnSelect = false
+}) => {
+    let debounceTimer = null;
+    let searchController = null; // Annule la recherche précédente (réponses dans le désordre)
+    let options = []; // { item, element } affichés
+    let activeIndex = -1;
+    let selection = null;
+    
+    const getRecentKey = () => (typeof recentKey === 'function' ? recentKey() : recentKey);
+    
+    // Annonces pour les lecteurs d'écran (nombre de résultats, chargement, erreurs)
+    const status = document.createElement('div');
+    status.className = 'visually-hidden';
+    status.setAttribute('role', 'status');
+    input.insertAdjacentElement('afterend', status);
+    
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('aria-controls', listbox.id);
+    
+    // ===== OUVERTURE / FERMETURE =====
+    
+    const open = () => {
+        listbox.classList.add('show');
+        input.setAttribute('aria-expanded', 'true');
+    };
+    
+    const close = () => {
+        listbox.classList.remove('show');
+        input.setAttribute('aria-expanded', 'false');
+        setActive(-1);
+    };
+    
+    const isOpen = () => listbox.classList.contains('show');
+    
+    /**
+     * Met en évidence une suggestion (navigation clavier)
+     * @param {number} index - Index de la suggestion (-1 : aucune)
+     */
+    const setActive = (index) => {
+        options[activeIndex]?.element.classList.remove('active');
+        options[activeIndex]?.element.setAttribute('aria-selected', 'false');
+        activeIndex = index;
+        
+        const active = options[index]?.element;
+        if (!active) {
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        
+        active.classList.add('active');
+        active.setAttribute('aria-selected', 'true');
+        active.scrollIntoView({ block: 'nearest' });
+        input.setAttribute('aria-activedescendant', active.id);
+    };
+    
+    // ===== RENDU =====
+    
+    /**
+     * Affiche un message à la place des suggestions (chargement, aucun résultat)
+     * @param {string} message - Message traduit
+     */
+    const renderMessage = (message) => {
+        options = [];
+        activeIndex = -1;
+        listbox.removeAttribute('role');
+        listbox.removeAttribute('aria-label');
+        setHTML(listbox, html`<div class="no-suggestions">${message}</div>`);
+        status.textContent = message;
+        open();
+    };
+    
+    /**
+     * Affiche une liste de suggestions
+     * @param {Array} items - Éléments à proposer
+     * @param {string} query - Recherche (mise en évidence), vide pour l'historique
+     * @param {boolean} recent - true pour les sélections récentes
+     */
+    const renderOptions = (items, query, recent = false) => {
+        listbox.replaceChildren();
+        listbox.setAttribute('role', 'listbox');
+        activeIndex = -1;
+        
+        if (recent) {
+            listbox.setAttribute('aria-label', t('autocomplete.recent'));
+            const heading = document.createElement('div');
+            heading.className = 'suggestion-heading';
+            heading.setAttribute('aria-hidden', 'true');
+            heading.textContent = t('autocomplete.recent');
+            listbox.appendChild(heading);
+        } else {
+            listbox.removeAttribute('aria-label');
+        }
+        
+        options = items.map((item, index) => {
+            const element = document.createElement('div');
+            element.className = 'suggestion-item';
+            element.id = `${listbox.id}-option-${index}`;
+            element.setAttribute('role', 'option');
+            element.setAttribute('aria-selected', 'false');
+            setHTML(element, renderItem(item, query));
+            
+            // Garder le focus dans le champ pendant le clic
+            element.addEventListener('mousedown', (e) => e.preventDefault());
+            element.addEventListener('click', () => select(item));
+            
+            listbox.appendChild(element);
+            return { item, element };
+        });
+        
+        status.textContent = recent ? t('autocomplete.recent') : t('autocomplete.count', { count: items.length });
+        open();
+    };
+    
+    /**
+     * Affiche les sélections récentes (champ vide)
+     */
+    const showRecent = () => {
+        const key = getRecentKey();
+        const recentItems = key ? loadRecent(key) : [];
+        
+        if (recentItems.length === 0) {
+            close();
+            return;
+        }
+        renderOptions(recentItems, '', true);
+    };
+    
+    // ===== RECHERCHE =====
+    
+    /**
+     * Lance la recherche et affiche les suggestions
+     * @param {string} query - Texte recherché
+     */
+    const runSearch = async (query) => {
+        searchController?.abort();
+        const controller = new AbortController();
+        searchController = controller;
+        
+        renderMessage(t('autocomplete.loading'));
+        
+        try {
+            const results = await search(query, { signal: controller.signal });
+            if (controller.signal.aborted) return;
+            
+            if (results.length === 0) {
+                renderMessage(t(emptyKey));
+            } else {
+                renderOptions(results, query);
+            }
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            
+            // Erreur distincte de "aucun résultat", avec relance de la recherche
+            options = [];
+            activeIndex = -1;
+            listbox.removeAttribute('role');
+            renderError(listbox, error, { onRetry: () => runSearch(query) });
+            status.textContent = listbox.querySelector('.error-text').textContent;
+            open();
+        }
+    };
+    
+    /**
+     * Choisit une suggestion
+     * @param {Object} item - Élément choisi
+     */
+    const select = (item) => {
+        const key = getRecentKey();
+        if (key) {
+            const recent = toRecent(item);
+            saveRecent(key, [
+                recent,
+                ...loadRecent(key).filter(entry => entry.id !== recent.id)
+            ].slice(0, MAX_RECENT));
+        }
+        
+        selection = clearOnSelect ? null : item;
+        input.value = clearOnSelect ? '' : getLabel(item);
+        close();
+        onSelect(item);
+    };
+    
+    // ===== ÉVÉNEMENTS =====
+    
+    input.addEventListener('input', () => {
+        const query = input.value.trim();
+        
+        // Le texte ne correspond plus à l'élément choisi
+        if (selection) {
+            selection = null;
+            onClear();
+        }
+        
+        clearTimeout(debounceTimer);
+        searchController?.abort();
+        searchController = null;
+        
+        if (query.length < MIN_QUERY_LENGTH) {
+            if (query.length === 0) {
+                showRecent();
+            } else {
+                close();
+            }
+            return;
+        }
+        
+        // Debounce pour éviter trop de requêtes
+        debounceTimer = setTimeout(() => runSearch(query), DEBOUNCE_DELAY);
+    });
+    
+    input.addEventListener('focus', () => {
+        if (!input.value.trim()) {
+            showRecent();
+        }
+    });
+    
+    input.addEventListener('keydown', (e) => {
+        const count = options.length;
+        
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                e.preventDefault();
+                if (!isOpen()) {
+                    if (input.value.trim().length >= MIN_QUERY_LENGTH && count > 0) {
+                        open();
+                    } else if (!input.value.trim()) {
+                        showRecent();
+                    }
+                }
+                if (options.length === 0) return;
+                
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const start = activeIndex === -1 && step === -1 ? options.length : activeIndex;
+                setActive((start + step + options.length) % options.length);
+                break;
+            }
+            case 'Home':
+            case 'End':
+                if (!isOpen() || count === 0) return;
+                e.preventDefault();
+                setActive(e.key === 'Home' ? 0 : count - 1);
+                break;
+            case 'Enter':
+                if (!isOpen() || activeIndex === -1) return;
+                e.preventDefault();
+                select(options[activeIndex].item);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                if (isOpen()) {
+                    close();
+                } else if (input.value) {
+                    input.value = '';
+                    input.dispatchEvent(new Event('input'));
+                    close();
+                }
+                break;
+            default:
+                break;
+        }
+    });
+    
+    // Fermer les suggestions quand le focus quitte le champ et la liste
+    const handleFocusOut = (e) => {
+        if (e.relatedTarget !== input && !listbox.contains(e.relatedTarget)) {
+            close();
+        }
+    };
+    input.addEventListener('focusout', handleFocusOut);
+    listbox.addEventListener('focusout', handleFocusOut);
+    
+    // ===== API =====
+    
+    return {
+        /**
+         * Définit l'élément choisi sans déclencher de recherche (restauration depuis l'URL)
+         * @param {Object|null} item - Élément choisi, ou null pour vider le champ
+         */
+        setSelection: (item) => {
+            clearTimeout(debounceTimer);
+            searchController?.abort();
+            selection = item;
+            input.value = item ? getLabel(item) : '';
+            close();
+        },
+        
+        /**
+         * Vide le champ et la sélection
+         */
+        clear: () => {
+            clearTimeout(debounceTimer);
+            searchController?.abort();
+            selection = null;
+            input.value = '';
+            close();
+        },
+        
+        close
+    };
+};
\ No newline at end of file
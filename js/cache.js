@@ -0,0 +1,198 @@
+// ===== MODULE CACHE =====
+// Cache des réponses API : mémoire, stockage persistant et requêtes en vol
+
+const STORAGE_PREFIX = '4films:cache:';
+
+// Durées usuelles (en millisecondes)
+export const TTL = {
+    MINUTE: 60 * 1000,
+    HOUR: 60 * 60 * 1000,
+    DAY: 24 * 60 * 60 * 1000
+};
+
+const memoryCache = new Map(); // clé -> { data, expires }
+const inFlight = new Map(); // clé -> Promise en cours
+
+// ===== PERSISTENT STORAGE =====
+
+/**
+ * Vérifie si le localStorage est utilisable (navigation privée, quota...)
+ * @returns {Storage|null} Le stockage ou null
+ */
+const getStorage = () => {
+    try {
+        return window.localStorage;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Lit une entrée du cache persistant
+ * @param {string} key - Clé de cache
+ * @returns {Object|null} Entrée { data, expires } ou null
+ */
+const readPersistent = (key) => {
+    const storage = getStorage();
+    if (!storage) return null;
+    
+    try {
+        const raw = storage.getItem(STORAGE_PREFIX + key);
+        return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+        storage.removeItem(STORAGE_PREFIX + key);
+        return null;
+    }
+};
+
+/**
+ * Écrit une entrée dans le cache persistant
+ * En cas de quota dépassé, purge les entrées expirées puis réessaie une fois
+ * @param {string} key - Clé de cache
+ * @param {Object} entry - Entrée { data, expires }
+ */
+const writePersistent = (key, entry) => {
+    const storage = getStorage();
+    if (!storage) return;
+    
+    const value = JSON.stringify(entry);
+    
+    try {
+        storage.setItem(STORAGE_PREFIX + key, value);
+    } catch (error) {
+        pruneExpired();
+        try {
+            storage.setItem(STORAGE_PREFIX + key, value);
+        } catch (retryError) {
+            console.warn('Cache persistant plein, entrée ignorée:', key);
+        }
+    }
+};
+
+/**
+ * Supprime les entrées expirées du cache persistant
+ */
+const pruneExpired = () => {
+    const storage = getStorage();
+    if (!storage) return;
+    
+    const now = Date.now();
+    
+    Object.keys(storage)
+        .filter(key => key.startsWith(STORAGE_PREFIX))
+        .forEach(key => {
+            try {
+                const entry = JSON.parse(storage.getItem(key));
+                if (!entry || entry.expires <= now) {
+                    storage.removeItem(key);
+                }
+            } catch (error) {
+                storage.removeItem(key);
+            }
+        });
+};
+
+// ===== PUBLIC API =====
+
+/**
+ * Récupère une valeur en cache (mémoire puis stockage persistant)
+ * @param {string} key - Clé de cache
+ * @returns {*} Données en cache ou undefined si absentes/expirées
+ */
+export const getCached = (key) => {
+    const now = Date.now();
+    const memoryEntry = memoryCache.get(key);
+    
+    if (memoryEntry) {
+        if (memoryEntry.expires > now) {
+            return memoryEntry.data;
+        }
+        memoryCache.delete(key);
+    }
+    
+    const persistentEntry = readPersistent(key);
+    
+    if (persistentEntry && persistentEntry.expires > now) {
+        // Remonter l'entrée en mémoire pour les prochains accès
+        memoryCache.set(key, persistentEntry);
+        return persistentEntry.data;
+    }
+    
+    return undefined;
+};
+
+/**
+ * Enregistre une valeur en cache
+ * @param {string} key - Clé de cache
+ * @param {*} data - Données à stocker (sérialisables en JSON si persistantes)
+ * @param {Object} options - Options de cache
+ * @param {number} options.ttl - Durée de vie en millisecondes
+ * @param {boolean} options.persist - Conserver aussi dans le localStorage
+ */
+export const setCached = (key, data, { ttl, persist = false }) => {
+    const entry = { data, expires: Date.now() + ttl };
+    memoryCache.set(key, entry);
+    
+    if (persist) {
+        writePersistent(key, entry);
+    }
+};
+
+/**
+ * Exécute une requête en passant par le cache
+ * Les appels identiques encore en cours partagent la même promesse, sauf les requêtes annulables :
+ * l'annulation d'un appelant ferait échouer tous ceux qui attendent la même promesse
+ * @param {string} key - Clé de cache
+ * @param {Function} loader - Fonction asynchrone qui charge les données
+ * @param {Object} options - Options de cache ({ ttl, persist })
+ * @param {AbortSignal} signal - Signal d'annulation de l'appelant (optionnel)
+ * @returns {Promise<*>} Données en cache ou fraîchement chargées
+ */
+export const cachedRequest = (key, loader, options, signal) => {
+    const cached = getCached(key);
+    if (cached !== undefined) {
+        return Promise.resolve(cached);
+    }
+    
+    const shared = !signal;
+    
+    if (shared && inFlight.has(key)) {
+        return inFlight.get(key);
+    }
+    
+    const request = loader()
+        .then(data => {
+            if (options.ttl > 0) {
+                setCached(key, data, options);
+            }
+            return data;
+        });
+    
+    if (!shared) {
+        return request;
+    }
+    
+    const sharedRequest = request.finally(() => {
+        inFlight.delete(key);
+    });
+    
+    inFlight.set(key, sharedRequest);
+    return sharedRequest;
+};
+
+/**
+ * Vide entièrement le cache (mémoire et stockage persistant)
+ */
+export const clearCache = () => {
+    memoryCache.clear();
+    
+    const storage = getStorage();
+    if (!storage) return;
+    
+    Object.keys(storage)
+        .filter(key => key.startsWith(STORAGE_PREFIX))
+        .forEach(key => storage.removeItem(key));
+};
+
+// Nettoyer les entrées expirées au chargement du module
+pruneExpired();
\ No newline at end of file
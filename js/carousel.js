@@ -1,83 +1,52 @@
 // ===== MODULE CAROUSEL 3D =====
-// Gère l'affichage et les interactions du carousel 3D
+// Carousel 3D de films : chaque instance gère son anneau de cards, ses contrôles et ses écouteurs
 
-import { getImageUrl, getWatchProviders, getProviderLogo } from './api.js';
+import { getImageUrl, getWatchProviders, getMovieDetails, getProviderLogo, IMAGE_SIZES } from './api.js';
+import { t } from './i18n.js';
+import { toggleWatchlist, isInWatchlist, onWatchlistChange } from './watchlist.js';
+import { openMovieDetails, formatSeasons } from './details.js';
+import { html, setHTML } from './dom.js';
 
-let currentRotation = 0;
-let currentIndex = 0;
-let movies = [];
-let isDragging = false;
-let startX = 0;
-let currentX = 0;
+const DRAG_CLICK_TOLERANCE = 5; // Déplacement max (px) pour considérer un clic
+const MAX_CARDS = 12; // Au-delà, les cards de l'anneau deviennent illisibles
+const SWIPE_THRESHOLD = 50; // Sensibilité du swipe (px)
+const DRAG_THRESHOLD = 100; // Sensibilité du drag souris (px)
 
-// ===== INITIALIZATION =====
+// Largeur affichée des cards, pour le choix de la taille du poster (voir carousel.css)
+const CARD_IMAGE_SIZES = '(max-width: 480px) 200px, (max-width: 768px) 250px, 300px';
 
-/**
- * Initialise le carousel avec des films
- * @param {Array} moviesData - Tableau de 4 films
- */
-export const initCarousel = async (moviesData) => {
-    movies = moviesData;
-    currentRotation = 0;
-    currentIndex = 0;
-    
-    const carousel = document.getElementById('carousel');
-    const placeholder = document.querySelector('.carousel-placeholder');
-    const controls = document.querySelector('.carousel-controls');
-    const dots = document.getElementById('carousel-dots');
-    
-    // Cacher le placeholder
-    if (placeholder) {
-        placeholder.style.display = 'none';
-    }
-    
-    // Vider le carousel
-    carousel.innerHTML = '';
-    
-    // Créer les cards
-    for (let i = 0; i < movies.length; i++) {
-        const card = await createMovieCard(movies[i], i + 1);
-        carousel.appendChild(card);
-    }
-    
-    // Afficher les contrôles et dots
-    controls.classList.remove('hidden');
-    dots.classList.remove('hidden');
-    
-    // Créer les dots
-    createDots();
-    
-    // Initialiser les event listeners
-    initEventListeners();
-    
-    // Afficher la première card
-    updateCarousel();
-};
+// Événement émis sur le conteneur quand le film affiché change (detail: { index, movie })
+export const CAROUSEL_CHANGE_EVENT = 'carousel:change';
+
+// Affichages des résultats : anneau 3D, grille ou liste compacte (mêmes cards)
+export const RESULTS_VIEWS = ['carousel', 'grid', 'list'];
+
+// Dernier carousel utilisé : seul à réagir aux flèches quand le focus n'est dans aucun carousel
+let lastActiveCarousel = null;
 
 // ===== CARD CREATION =====
 
 /**
- * Crée une card de film
+ * Crée une card de film, affichée immédiatement avec les données de la recherche
+ * Le poster apparaît à son chargement et les plateformes arrivent ensuite (voir loadPlatforms)
  * @param {Object} movie - Données du film
- * @param {number} rank - Position dans le top 4
- * @returns {HTMLElement} Card HTML
+ * @param {number} rank - Position dans le classement
+ * @param {number} index - Position dans le carousel (à partir de 0)
+ * @param {number} stepAngle - Angle entre deux cards de l'anneau (degrés)
+ * @param {Function} wasDragged - Indique si le dernier geste était un drag
+ * @returns {HTMLElement} Card HTML (squelette en attendant le poster)
  */
-const createMovieCard = async (movie, rank) => {
+const createMovieCard = (movie, rank, index, stepAngle, wasDragged) => {
     const card = document.createElement('div');
-    card.className = `movie-card rank-${rank}`;
-    card.style.setProperty('--index', rank - 1);
-    card.style.setProperty('--rotate', (rank - 1) * 90 + 'deg');
+    card.className = `movie-card rank-${rank} is-loading`;
+    card.setAttribute('role', 'listitem');
+    card.style.setProperty('--index', index);
+    card.style.setProperty('--rotate', index * stepAngle + 'deg');
     
-    // Récupérer les plateformes de streaming
-    const providers = await getWatchProviders(movie.id);
-    
-    // Poster
-    const posterUrl = getImageUrl(movie.poster_path, 'w500') || 'https://via.placeholder.com/300x500?text=No+Poster';
-    
-    card.innerHTML = `
-        <img src="${posterUrl}" alt="${movie.title}" class="card-poster">
+    setHTML(card, html`
+        ${createPosterHTML(movie, index === 0)}
         
-        <div class="card-rank rank-${rank}">#${rank}</div>
+        <div class="card-rank ${rank <= 4 ? `rank-${rank}` : 'rank-next'}">#${rank}</div>
         
         <div class="card-overlay">
             <h3 class="card-title">${movie.title}</h3>
@@ -86,254 +55,638 @@ const createMovieCard = async (movie, rank) => {
                     <span>⭐</span>
                     <span>${movie.vote_average.toFixed(1)}</span>
                 </div>
-                <span class="card-year">${movie.release_date ? movie.release_date.split('-')[0] : 'N/A'}</span>
+                <span class="card-year">${movie.release_date ? movie.release_date.split('-')[0] : t('card.noYear')}</span>
+                ${movie.media_type === 'tv' ? html`<span class="card-seasons"></span>` : ''}
             </div>
-            ${providers ? createPlatformsHTML(providers) : ''}
+            <div class="card-platforms is-loading" aria-hidden="true"></div>
         </div>
         
         <div class="card-synopsis">
             <h4 class="synopsis-title">${movie.title}</h4>
-            <p class="synopsis-text">${movie.overview || 'Aucun synopsis disponible.'}</p>
+            <p class="synopsis-text">${movie.overview || t('card.noSynopsis')}</p>
         </div>
-    `;
-    
-    return card;
-};
-
-/**
- * Crée le HTML pour les plateformes de streaming
- * @param {Object} providers - Données des plateformes
- * @returns {string} HTML des plateformes
- */
-const createPlatformsHTML = (providers) => {
-    let html = '<div class="card-platforms">';
+    `);
     
-    // Priorité: flatrate (abonnement) > rent > buy
-    const platformList = providers.flatrate || providers.rent || providers.buy || [];
+    // Retirer le squelette une fois le poster chargé (ou en échec)
+    const poster = card.querySelector('.card-poster');
+    const reveal = () => card.classList.remove('is-loading');
+    poster.addEventListener('load', reveal, { once: true });
+    poster.addEventListener('error', reveal, { once: true });
+    if (poster.complete) {
+        reveal();
+    }
     
-    // Afficher maximum 3 logos
-    const displayPlatforms = platformList.slice(0, 3);
+    card.appendChild(createWatchlistButton(movie));
+    card.appendChild(createDetailsButton(movie));
     
-    displayPlatforms.forEach(provider => {
-        const logoUrl = getProviderLogo(provider.logo_path);
-        if (logoUrl) {
-            html += `<img src="${logoUrl}" alt="${provider.provider_name}" class="platform-logo" title="${provider.provider_name}">`;
+    // Clic sur la card (hors drag) : ouvrir les détails
+    card.addEventListener('click', () => {
+        if (!wasDragged()) {
+            openMovieDetails(movie.id, movie.media_type);
         }
     });
     
-    html += '</div>';
-    return html;
+    return card;
 };
 
-// ===== CAROUSEL ROTATION =====
-
 /**
- * Met à jour la rotation du carousel
+ * Crée le HTML du poster (tailles responsive)
+ * @param {Object} movie - Données du film
+ * @param {boolean} eager - Charger sans attendre (card de face)
+ * @returns {SafeHTML} HTML de l'image (échappé)
  */
-const updateCarousel = () => {
-    const carousel = document.getElementById('carousel');
-    carousel.style.transform = `rotateY(${currentRotation}deg)`;
+const createPosterHTML = (movie, eager) => {
+    if (!movie.poster_path) {
+        return html`<img src="https://via.placeholder.com/300x500?text=No+Poster" alt="${movie.title}" class="card-poster">`;
+    }
     
-    // Mettre à jour les dots
-    updateDots();
-};
-
-/**
- * Passe au film suivant
- */
-export const nextMovie = () => {
-    currentRotation -= 90;
-    currentIndex = (currentIndex + 1) % movies.length;
-    updateCarousel();
+    const srcset = [
+        `${getImageUrl(movie.poster_path, IMAGE_SIZES.POSTER_SMALL)} 185w`,
+        `${getImageUrl(movie.poster_path, IMAGE_SIZES.POSTER_MEDIUM)} 342w`,
+        `${getImageUrl(movie.poster_path, IMAGE_SIZES.POSTER_LARGE)} 500w`,
+        `${getImageUrl(movie.poster_path, IMAGE_SIZES.POSTER_XLARGE)} 780w`
+    ].join(', ');
+    
+    return html`
+        <img
+            src="${getImageUrl(movie.poster_path, IMAGE_SIZES.POSTER_LARGE)}"
+            srcset="${srcset}"
+            sizes="${CARD_IMAGE_SIZES}"
+            alt="${movie.title}"
+            class="card-poster"
+            loading="${eager ? 'eager' : 'lazy'}"
+            decoding="async"
+        >
+    `;
 };
 
 /**
- * Revient au film précédent
+ * Charge les plateformes d'une card et remplace leur squelette
+ * @param {HTMLElement} card - Card du film
+ * @param {Object} movie - Données du film (ou de la série)
+ * @returns {Promise<void>}
  */
-export const prevMovie = () => {
-    currentRotation += 90;
-    currentIndex = (currentIndex - 1 + movies.length) % movies.length;
-    updateCarousel();
+const loadPlatforms = async (card, movie) => {
+    const container = card.querySelector('.card-platforms');
+    const providers = await getWatchProviders(movie.id, movie.media_type);
+    
+    container.classList.remove('is-loading');
+    container.removeAttribute('aria-hidden');
+    setHTML(container, providers ? createPlatformsHTML(providers) : '');
 };
 
 /**
- * Va à un film spécifique
- * @param {number} index - Index du film (0-3)
+ * Charge le nombre de saisons et d'épisodes d'une série (absent des listes TMDB)
+ * Les détails sont mis en cache : la fenêtre de détails les réutilise
+ * @param {HTMLElement} card - Card de la série
+ * @param {Object} movie - Données de la série
+ * @returns {Promise<void>}
  */
-const goToMovie = (index) => {
-    const diff = index - currentIndex;
-    currentRotation -= diff * 90;
-    currentIndex = index;
-    updateCarousel();
-};
-
-// ===== DOTS =====
-
-/**
- * Crée les indicateurs de position (dots)
- */
-const createDots = () => {
-    const dotsContainer = document.getElementById('carousel-dots');
-    dotsContainer.innerHTML = '';
-    
-    for (let i = 0; i < movies.length; i++) {
-        const dot = document.createElement('div');
-        dot.className = `dot ${i === 0 ? 'active' : ''}`;
-        dot.addEventListener('click', () => goToMovie(i));
-        dotsContainer.appendChild(dot);
+const loadSeasons = async (card, movie) => {
+    try {
+        const details = await getMovieDetails(movie.id, 'tv');
+        
+        card.querySelector('.card-seasons').textContent = formatSeasons(details);
+    } catch (error) {
+        console.warn('Impossible de charger les saisons de la série:', error);
     }
 };
 
 /**
- * Met à jour l'état actif des dots
+ * Crée le bouton d'ajout/retrait de la watchlist
+ * @param {Object} movie - Données du film
+ * @returns {HTMLButtonElement} Bouton
  */
-const updateDots = () => {
-    const dots = document.querySelectorAll('.dot');
-    dots.forEach((dot, index) => {
-        dot.classList.toggle('active', index === currentIndex);
+const createWatchlistButton = (movie) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'card-watchlist-btn';
+    button.dataset.movieId = movie.id;
+    button.dataset.mediaType = movie.media_type || 'movie';
+    updateWatchlistButton(button);
+    
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleWatchlist(movie);
     });
+    
+    // Ne pas déclencher le drag du carousel
+    button.addEventListener('mousedown', (e) => e.stopPropagation());
+    
+    return button;
 };
 
-// ===== EVENT LISTENERS =====
-
-/**
- * Initialise tous les event listeners
- */
-const initEventListeners = () => {
-    // Boutons prev/next
-    const prevBtn = document.getElementById('prev-btn');
-    const nextBtn = document.getElementById('next-btn');
-    
-    prevBtn.addEventListener('click', prevMovie);
-    nextBtn.addEventListener('click', nextMovie);
-    
-    // Clavier
-    document.addEventListener('keydown', handleKeyboard);
-    
-    // Touch events pour mobile
-    const carousel = document.getElementById('carousel');
-    carousel.addEventListener('touchstart', handleTouchStart, { passive: true });
-    carousel.addEventListener('touchmove', handleTouchMove, { passive: true });
-    carousel.addEventListener('touchend', handleTouchEnd);
-    
-    // Mouse drag (optionnel, pour desktop)
-    carousel.addEventListener('mousedown', handleMouseDown);
-    document.addEventListener('mousemove', handleMouseMove);
-    document.addEventListener('mouseup', handleMouseEnd);
-};
-
-/**
- * Gère les touches du clavier
- * @param {KeyboardEvent} e - Événement clavier
- */
-const handleKeyboard = (e) => {
-    if (e.key === 'ArrowLeft') {
-        prevMovie();
-    } else if (e.key === 'ArrowRight') {
-        nextMovie();
-    }
-};
-
-// ===== TOUCH EVENTS =====
-
 /**
- * Début du touch
- * @param {TouchEvent} e - Événement touch
+ * Crée le bouton d'ouverture des détails (accessible au clavier)
+ * @param {Object} movie - Données du film
+ * @returns {HTMLButtonElement} Bouton
  */
-const handleTouchStart = (e) => {
-    isDragging = true;
-    startX = e.touches[0].clientX;
-    currentX = startX;
+const createDetailsButton = (movie) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'card-details-btn';
+    button.textContent = 'ℹ';
+    button.setAttribute('aria-label', `${t('details.open')} - ${movie.title}`);
+    button.title = t('details.open');
+    
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openMovieDetails(movie.id, movie.media_type);
+    });
+    button.addEventListener('mousedown', (e) => e.stopPropagation());
+    
+    return button;
 };
 
 /**
- * Mouvement du touch
- * @param {TouchEvent} e - Événement touch
+ * Met à jour l'état d'un bouton de watchlist
+ * @param {HTMLButtonElement} button - Bouton à mettre à jour
  */
-const handleTouchMove = (e) => {
-    if (!isDragging) return;
-    currentX = e.touches[0].clientX;
+const updateWatchlistButton = (button) => {
+    const saved = isInWatchlist(Number(button.dataset.movieId), button.dataset.mediaType);
+    const label = t(saved ? 'watchlist.saved' : 'watchlist.add');
+    
+    button.textContent = saved ? '★' : '☆';
+    button.classList.toggle('saved', saved);
+    button.setAttribute('aria-pressed', saved);
+    button.setAttribute('aria-label', label);
+    button.title = label;
 };
 
 /**
- * Fin du touch
+ * Crée le HTML des logos des plateformes de streaming
+ * @param {Object} providers - Données des plateformes
+ * @returns {SafeHTML} HTML des logos (échappé)
  */
-const handleTouchEnd = () => {
-    if (!isDragging) return;
-    
-    const diff = currentX - startX;
-    const threshold = 50; // Sensibilité du swipe
+const createPlatformsHTML = (providers) => {
+    // Priorité: flatrate (abonnement) > rent > buy
+    const platformList = providers.flatrate || providers.rent || providers.buy || [];
     
-    if (diff > threshold) {
-        prevMovie();
-    } else if (diff < -threshold) {
-        nextMovie();
-    }
+    // Afficher maximum 3 logos
+    const displayPlatforms = platformList.slice(0, 3).filter(provider => provider.logo_path);
     
-    isDragging = false;
+    return html`${displayPlatforms.map(provider => html`
+        <img src="${getProviderLogo(provider.logo_path)}" alt="${provider.provider_name}" class="platform-logo" title="${provider.provider_name}" loading="lazy">
+    `)}`;
 };
 
-// ===== MOUSE DRAG =====
+// ===== RING GEOMETRY =====
 
 /**
- * Début du drag souris
- * @param {MouseEvent} e - Événement souris
+ * Calcule l'écartement de l'anneau pour un nombre de cards
+ * Rayon du polygone régulier dont chaque côté mesure une card : largeur / (2 × tan(π / n)).
+ * Le CSS multiplie ce facteur par la largeur des cards (qui dépend de l'écran).
+ * @param {number} count - Nombre de cards
+ * @returns {number} Rayon en largeurs de card (0 pour 1 ou 2 cards : le rayon minimal suffit)
  */
-const handleMouseDown = (e) => {
-    isDragging = true;
-    startX = e.clientX;
-    currentX = startX;
-    document.body.style.cursor = 'grabbing';
+const getRingSpread = (count) => {
+    if (count < 3) return 0;
+    return 1 / (2 * Math.tan(Math.PI / count));
 };
 
+// ===== HELPERS =====
+
 /**
- * Mouvement du drag souris
- * @param {MouseEvent} e - Événement souris
+ * Vérifie si les flèches du clavier appartiennent à un champ de saisie
+ * @param {EventTarget} target - Cible de l'événement clavier
+ * @returns {boolean} true pour un champ texte, une liste ou un élément éditable
  */
-const handleMouseMove = (e) => {
-    if (!isDragging) return;
-    currentX = e.clientX;
+const isEditable = (target) => {
+    return target instanceof HTMLElement
+        && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
 };
 
 /**
- * Fin du drag souris
+ * Traduit une touche en déplacement du carousel
+ * @param {KeyboardEvent} e - Événement clavier
+ * @param {Object} options - Options
+ * @param {boolean} options.vertical - Accepter aussi les flèches haut/bas (grille, liste)
+ * @returns {number} -1 (précédent), 1 (suivant) ou 0
  */
-const handleMouseEnd = () => {
-    if (!isDragging) return;
+const getKeyStep = (e, { vertical = false } = {}) => {
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || isEditable(e.target)) return 0;
     
-    const diff = currentX - startX;
-    const threshold = 100; // Sensibilité du drag
+    // Ne pas tourner le carousel derrière une fenêtre ouverte
+    if (document.querySelector('dialog[open]')) return 0;
     
-    if (diff > threshold) {
-        prevMovie();
-    } else if (diff < -threshold) {
-        nextMovie();
-    }
-    
-    isDragging = false;
-    document.body.style.cursor = 'default';
+    if (e.key === 'ArrowLeft' || (vertical && e.key === 'ArrowUp')) return -1;
+    if (e.key === 'ArrowRight' || (vertical && e.key === 'ArrowDown')) return 1;
+    return 0;
 };
 
-// ===== RESET =====
+// ===== INSTANCE =====
 
 /**
- * Réinitialise le carousel
+ * Crée un carousel 3D dans un conteneur
+ * Le conteneur contient .carousel-3d et, s'ils existent, .carousel-placeholder,
+ * .carousel-controls (boutons .prev et .next) et .carousel-dots.
+ * Plusieurs carousels peuvent coexister : chacun n'écoute que ses propres éléments.
+ * En grille et en liste (setView), les cards sont à plat et les flèches passent d'une card à l'autre.
+ * @example
+ * const carousel = createCarousel(document.getElementById('carousel-container')).mount();
+ * carousel.update(movies);
+ * carousel.setView('grid');
+ * carousel.destroy();
+ * @param {HTMLElement} root - Conteneur du carousel
+ * @returns {Object} Instance { mount, update, destroy, setView, getView, next, prev, goTo, getIndex }
  */
-export const resetCarousel = () => {
-    const carousel = document.getElementById('carousel');
-    const placeholder = document.querySelector('.carousel-placeholder');
-    const controls = document.querySelector('.carousel-controls');
-    const dots = document.getElementById('carousel-dots');
-    
-    carousel.innerHTML = '';
-    controls.classList.add('hidden');
-    dots.classList.add('hidden');
-    
-    if (placeholder) {
-        placeholder.style.display = 'block';
-    }
+export const createCarousel = (root) => {
+    const ring = root.querySelector('.carousel-3d');
+    const placeholder = root.querySelector('.carousel-placeholder');
+    const controls = root.querySelector('.carousel-controls');
+    const prevBtn = root.querySelector('.carousel-btn.prev');
+    const nextBtn = root.querySelector('.carousel-btn.next');
+    const dotsContainer = root.querySelector('.carousel-dots');
+    
+    let movies = [];
+    let firstRank = 1;
+    let view = 'carousel';
+    let currentRotation = 0;
+    let currentIndex = 0;
+    let isDragging = false;
+    let startX = 0;
+    let currentX = 0;
+    let isMounted = false;
+    let isVisible = true;
+    let observer = null;
+    let unsubscribeWatchlist = null;
+    
+    // ===== ROTATION =====
+    
+    const getStepAngle = () => 360 / Math.max(movies.length, 1);
+    
+    /**
+     * Applique la rotation, met à jour les dots et prévient les abonnés
+     */
+    const render = () => {
+        // Reculer les grands anneaux : la card de face garde la même taille quel que soit N
+        if (view === 'carousel') {
+            ring.style.transform = `translateZ(calc(var(--ring-min-radius) - var(--ring-radius))) rotateY(${currentRotation}deg)`;
+        } else {
+            ring.style.removeProperty('transform');
+        }
+        
+        dotsContainer?.querySelectorAll('.dot').forEach((dot, index) => {
+            dot.classList.toggle('active', index === currentIndex);
+        });
+        
+        root.dispatchEvent(new CustomEvent(CAROUSEL_CHANGE_EVENT, {
+            detail: { index: currentIndex, movie: movies[currentIndex] ?? null }
+        }));
+    };
+    
+    /**
+     * Va à un film, en tournant dans le sens le plus court
+     * @param {number} index - Index du film
+     */
+    const goTo = (index) => {
+        const count = movies.length;
+        if (count < 2) return;
+        
+        let diff = ((index - currentIndex) % count + count) % count;
+        if (diff > count / 2) {
+            diff -= count;
+        }
+        if (diff === 0) return;
+        
+        currentRotation -= diff * getStepAngle();
+        currentIndex = (currentIndex + diff + count) % count;
+        render();
+    };
+    
+    const next = () => goTo(currentIndex + 1);
+    const prev = () => goTo(currentIndex - 1);
+    
+    // ===== DOTS =====
+    
+    /**
+     * Crée les indicateurs de position (dots)
+     */
+    const createDots = () => {
+        if (!dotsContainer) return;
+        dotsContainer.innerHTML = '';
+        
+        for (let i = 0; i < movies.length; i++) {
+            const dot = document.createElement('div');
+            dot.className = 'dot';
+            dot.addEventListener('click', () => goTo(i));
+            dotsContainer.appendChild(dot);
+        }
+    };
+    
+    /**
+     * Affiche ou cache les contrôles (inutiles pour moins de deux films, ou hors de l'anneau 3D)
+     */
+    const toggleControls = () => {
+        const hidden = movies.length < 2 || view !== 'carousel';
+        controls?.classList.toggle('hidden', hidden);
+        dotsContainer?.classList.toggle('hidden', hidden);
+    };
+    
+    // ===== KEYBOARD =====
+    
+    /**
+     * Flèches quand le focus est dans le carousel (boutons, cards)
+     * @param {KeyboardEvent} e - Événement clavier
+     */
+    const handleKeydown = (e) => {
+        if (view !== 'carousel') {
+            moveFocus(e);
+            return;
+        }
+        
+        const step = getKeyStep(e);
+        if (step === 0 || movies.length < 2) return;
+        
+        e.preventDefault();
+        goTo(currentIndex + step);
+    };
+    
+    /**
+     * Grille et liste : les flèches donnent le focus au même bouton de la card voisine
+     * @param {KeyboardEvent} e - Événement clavier
+     */
+    const moveFocus = (e) => {
+        const step = getKeyStep(e, { vertical: true });
+        const card = e.target instanceof HTMLElement ? e.target.closest('.movie-card') : null;
+        if (step === 0 || !card) return;
+        
+        const cards = [...ring.children];
+        const index = cards.indexOf(card) + step;
+        const target = cards[index];
+        if (!target) return;
+        
+        e.preventDefault();
+        const selector = e.target.matches('.card-details-btn') ? '.card-details-btn' : '.card-watchlist-btn';
+        target.querySelector(selector).focus();
+        target.scrollIntoView?.({ block: 'nearest' });
+        goTo(index);
+    };
+    
+    /**
+     * Flèches quand rien n'a le focus : seul le dernier carousel utilisé, s'il est visible
+     * @param {KeyboardEvent} e - Événement clavier
+     */
+    const handleDocumentKeydown = (e) => {
+        const focused = document.activeElement;
+        if (focused && focused !== document.body) return;
+        if (lastActiveCarousel !== instance || !isVisible) return;
+        
+        handleKeydown(e);
+    };
+    
+    const activate = () => {
+        lastActiveCarousel = instance;
+    };
+    
+    // ===== TOUCH / MOUSE DRAG =====
+    
+    const handleTouchStart = (e) => {
+        if (view !== 'carousel') return;
+        isDragging = true;
+        startX = e.touches[0].clientX;
+        currentX = startX;
+    };
+    
+    const handleTouchMove = (e) => {
+        if (!isDragging) return;
+        currentX = e.touches[0].clientX;
+    };
+    
+    /**
+     * Fin d'un geste : tourne si le déplacement dépasse le seuil
+     * @param {number} threshold - Déplacement minimal (px)
+     */
+    const endDrag = (threshold) => {
+        if (!isDragging) return;
+        
+        const diff = currentX - startX;
+        if (diff > threshold) {
+            prev();
+        } else if (diff < -threshold) {
+            next();
+        }
+        
+        isDragging = false;
+    };
+    
+    const handleTouchEnd = () => endDrag(SWIPE_THRESHOLD);
+    
+    const handleMouseMove = (e) => {
+        if (!isDragging) return;
+        currentX = e.clientX;
+    };
+    
+    /**
+     * Retire les écouteurs du document : ils ne vivent que le temps d'un drag souris
+     */
+    const stopMouseTracking = () => {
+        document.removeEventListener('mousemove', handleMouseMove);
+        document.removeEventListener('mouseup', handleMouseUp);
+        document.body.style.cursor = 'default';
+    };
+    
+    const handleMouseUp = () => {
+        stopMouseTracking();
+        endDrag(DRAG_THRESHOLD);
+    };
+    
+    const handleMouseDown = (e) => {
+        if (view !== 'carousel') return;
+        isDragging = true;
+        startX = e.clientX;
+        currentX = startX;
+        document.body.style.cursor = 'grabbing';
+        document.addEventListener('mousemove', handleMouseMove);
+        document.addEventListener('mouseup', handleMouseUp);
+    };
+    
+    /**
+     * Indique si le dernier geste était un drag (et non un simple clic)
+     * @returns {boolean} true si le pointeur s'est déplacé
+     */
+    const wasDragged = () => {
+        return view === 'carousel' && Math.abs(currentX - startX) > DRAG_CLICK_TOLERANCE;
+    };
+    
+    // Synchroniser les boutons quand la watchlist change (ajout, retrait, import)
+    const syncWatchlistButtons = () => {
+        ring.querySelectorAll('.card-watchlist-btn').forEach(updateWatchlistButton);
+    };
+    
+    // ===== STATE =====
+    
+    /**
+     * Vide l'anneau et réaffiche le placeholder
+     */
+    const clear = () => {
+        movies = [];
+        firstRank = 1;
+        currentRotation = 0;
+        currentIndex = 0;
+        ring.innerHTML = '';
+        ring.style.removeProperty('--card-count');
+        ring.style.removeProperty('--ring-spread');
+        ring.style.removeProperty('transform');
+        dotsContainer?.replaceChildren();
+        toggleControls();
+        
+        if (placeholder) {
+            placeholder.style.display = 'block';
+        }
+    };
+    
+    const instance = {
+        /**
+         * Branche les écouteurs (sans effet si le carousel est déjà monté)
+         * @returns {Object} L'instance (chaînable)
+         */
+        mount: () => {
+            if (isMounted) return instance;
+            isMounted = true;
+            
+            prevBtn?.addEventListener('click', prev);
+            nextBtn?.addEventListener('click', next);
+            root.addEventListener('keydown', handleKeydown);
+            root.addEventListener('focusin', activate);
+            root.addEventListener('pointerdown', activate);
+            document.addEventListener('keydown', handleDocumentKeydown);
+            
+            ring.addEventListener('touchstart', handleTouchStart, { passive: true });
+            ring.addEventListener('touchmove', handleTouchMove, { passive: true });
+            ring.addEventListener('touchend', handleTouchEnd);
+            ring.addEventListener('mousedown', handleMouseDown);
+            
+            // Visible à l'écran : condition pour réagir au clavier sans focus
+            if (typeof IntersectionObserver !== 'undefined') {
+                observer = new IntersectionObserver(([entry]) => {
+                    isVisible = entry.isIntersecting;
+                });
+                observer.observe(root);
+            }
+            
+            unsubscribeWatchlist = onWatchlistChange(syncWatchlistButtons);
+            return instance;
+        },
+        
+        /**
+         * Affiche des films (tableau vide : retour au placeholder)
+         * Les cards apparaissent aussitôt ; posters et plateformes se chargent en parallèle
+         * @param {Array} moviesData - Films à afficher (1 à 12)
+         * @param {Object} options - Options
+         * @param {number} options.startRank - Rang du premier film (N + 1 pour le lot suivant...)
+         */
+        update: (moviesData, { startRank = 1 } = {}) => {
+            movies = moviesData.slice(0, MAX_CARDS);
+            firstRank = startRank;
+            
+            if (movies.length === 0) {
+                clear();
+                return;
+            }
+            
+            const cards = movies.map((movie, i) => (
+                createMovieCard(movie, startRank + i, i, getStepAngle(), wasDragged)
+            ));
+            currentRotation = 0;
+            currentIndex = 0;
+            
+            if (placeholder) {
+                placeholder.style.display = 'none';
+            }
+            
+            ring.replaceChildren(...cards);
+            ring.style.setProperty('--card-count', movies.length);
+            ring.style.setProperty('--ring-spread', getRingSpread(movies.length).toFixed(4));
+            
+            toggleControls();
+            createDots();
+            activate();
+            render();
+            
+            // Une plateforme (ou une série) lente ne bloque pas les autres cards
+            cards.forEach((card, i) => {
+                loadPlatforms(card, movies[i]);
+                if (movies[i].media_type === 'tv') {
+                    loadSeasons(card, movies[i]);
+                }
+            });
+        },
+        
+        /**
+         * Change la disposition des cards, sans les recréer
+         * @param {string} nextView - 'carousel' (anneau 3D), 'grid' (grille) ou 'list' (liste compacte)
+         */
+        setView: (nextView) => {
+            view = RESULTS_VIEWS.includes(nextView) ? nextView : 'carousel';
+            root.classList.toggle('view-grid', view === 'grid');
+            root.classList.toggle('view-list', view === 'list');
+            
+            isDragging = false;
+            startX = currentX;
+            stopMouseTracking();
+            toggleControls();
+            if (movies.length > 0) {
+                render();
+            }
+        },
+        
+        /**
+         * @returns {string} Affichage courant ('carousel', 'grid' ou 'list')
+         */
+        getView: () => view,
+        
+        /**
+         * Retire les écouteurs et vide le carousel
+         */
+        destroy: () => {
+            if (isMounted) {
+                prevBtn?.removeEventListener('click', prev);
+                nextBtn?.removeEventListener('click', next);
+                root.removeEventListener('keydown', handleKeydown);
+                root.removeEventListener('focusin', activate);
+                root.removeEventListener('pointerdown', activate);
+                document.removeEventListener('keydown', handleDocumentKeydown);
+                
+                ring.removeEventListener('touchstart', handleTouchStart);
+                ring.removeEventListener('touchmove', handleTouchMove);
+                ring.removeEventListener('touchend', handleTouchEnd);
+                ring.removeEventListener('mousedown', handleMouseDown);
+                isDragging = false;
+                stopMouseTracking();
+                
+                observer?.disconnect();
+                unsubscribeWatchlist?.();
+                observer = null;
+                unsubscribeWatchlist = null;
+                isMounted = false;
+            }
+            
+            if (lastActiveCarousel === instance) {
+                lastActiveCarousel = null;
+            }
+            clear();
+        },
+        
+        next,
+        prev,
+        goTo,
+        
+        /**
+         * @returns {number} Index du film de face
+         */
+        getIndex: () => currentIndex,
+        
+        /**
+         * @returns {Array} Films affichés, dans l'ordre du classement
+         */
+        getMovies: () => [...movies],
+        
+        /**
+         * @returns {number} Rang du premier film affiché
+         */
+        getStartRank: () => firstRank
+    };
     
-    currentRotation = 0;
-    currentIndex = 0;
-    movies = [];
+    return instance;
 };
\ No newline at end of file
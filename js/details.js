@@ -0,0 +1,319 @@
+// ===== MODULE DETAILS =====
+// Fenêtre de détails d'un film ou d'une série (durée, générique, budget, saisons, bande-annonce...)
+
+import { getMovieDetails, getImageUrl, IMAGE_SIZES } from './api.js';
+import { t, getLanguage } from './i18n.js';
+import { renderError } from './errors.js';
+import { html, setHTML } from './dom.js';
+
+const MAX_CAST = 6;
+
+let lastTrigger = null;
+let currentMovieId = null;
+
+// ===== INITIALIZATION =====
+
+/**
+ * Initialise la fenêtre de détails
+ */
+export const initDetails = () => {
+    const dialog = document.getElementById('movie-dialog');
+    const closeBtn = dialog.querySelector('.dialog-close');
+    
+    closeBtn.addEventListener('click', closeMovieDetails);
+    
+    // Fermer en cliquant sur le fond (hors du contenu)
+    dialog.addEventListener('click', (e) => {
+        if (e.target === dialog) {
+            closeMovieDetails();
+        }
+    });
+    
+    // Échap ferme nativement le dialog : on nettoie à la fermeture
+    dialog.addEventListener('close', handleClose);
+};
+
+// ===== OPEN / CLOSE =====
+
+/**
+ * Ouvre la fenêtre de détails d'un film
+ * @param {number} movieId - ID du film
+ * @param {string} mediaType - 'movie' ou 'tv'
+ */
+export const openMovieDetails = async (movieId, mediaType = 'movie') => {
+    const dialog = document.getElementById('movie-dialog');
+    
+    lastTrigger = document.activeElement;
+    currentMovieId = movieId;
+    
+    if (!dialog.open) {
+        if (typeof dialog.showModal === 'function') {
+            dialog.showModal();
+        } else {
+            dialog.setAttribute('open', '');
+        }
+    }
+    
+    dialog.querySelector('.dialog-close').focus();
+    
+    await loadMovieDetails(movieId, mediaType);
+};
+
+/**
+ * Charge et affiche les détails dans la fenêtre déjà ouverte
+ * @param {number} movieId - ID du film
+ * @param {string} mediaType - 'movie' ou 'tv'
+ */
+const loadMovieDetails = async (movieId, mediaType) => {
+    const content = document.getElementById('movie-dialog-content');
+    
+    setHTML(content, html`
+        <div class="dialog-loading">
+            <div class="spinner"></div>
+            <p>${t('details.loading')}</p>
+        </div>
+    `);
+    
+    try {
+        const movie = await getMovieDetails(movieId, mediaType);
+        
+        // Ignorer la réponse si un autre film a été ouvert entre-temps
+        if (currentMovieId !== movieId) return;
+        
+        setHTML(content, createDetailsHTML(movie));
+    } catch (error) {
+        console.error('Erreur lors de l\'affichage des détails:', error);
+        if (currentMovieId !== movieId) return;
+        
+        setHTML(content, html`<p class="dialog-error"></p>`);
+        renderError(content.querySelector('.dialog-error'), error, {
+            onRetry: () => loadMovieDetails(movieId, mediaType),
+            fallbackKey: 'details.error'
+        });
+    }
+};
+
+/**
+ * Ferme la fenêtre de détails
+ */
+export const closeMovieDetails = () => {
+    const dialog = document.getElementById('movie-dialog');
+    
+    if (typeof dialog.close === 'function') {
+        dialog.close();
+    } else {
+        dialog.removeAttribute('open');
+        handleClose();
+    }
+};
+
+/**
+ * Nettoie la fenêtre après fermeture (arrête la bande-annonce, rend le focus)
+ */
+const handleClose = () => {
+    document.getElementById('movie-dialog-content').innerHTML = '';
+    currentMovieId = null;
+    
+    if (lastTrigger && typeof lastTrigger.focus === 'function') {
+        lastTrigger.focus();
+    }
+    lastTrigger = null;
+};
+
+// ===== RENDERING =====
+
+/**
+ * Crée le HTML des détails d'un film
+ * Une série affiche ses créateurs, sa durée par épisode et son nombre de saisons
+ * @param {Object} movie - Détails du film (avec credits et videos)
+ * @returns {SafeHTML} HTML du contenu (échappé)
+ */
+const createDetailsHTML = (movie) => {
+    const isSeries = movie.media_type === 'tv';
+    const year = movie.release_date ? movie.release_date.split('-')[0] : t('card.noYear');
+    const directors = isSeries
+        ? movie.created_by || []
+        : (movie.credits?.crew || []).filter(person => person.job === 'Director');
+    const episodeRuntime = isSeries ? movie.episode_run_time?.[0] : null;
+    const seasons = isSeries ? formatSeasons(movie) : '';
+    const cast = (movie.credits?.cast || []).slice(0, MAX_CAST);
+    const trailer = pickTrailer(movie.videos?.results || []);
+    
+    return html`
+        ${createBackdropHTML(movie)}
+        
+        <div class="dialog-body">
+            <h2 id="movie-dialog-title" class="dialog-title">${movie.title}</h2>
+            ${movie.tagline ? html`<p class="dialog-tagline">${movie.tagline}</p>` : ''}
+            
+            <div class="dialog-meta">
+                <span>${year}</span>
+                ${movie.runtime ? html`<span>${formatRuntime(movie.runtime)}</span>` : ''}
+                ${episodeRuntime ? html`<span>${t('details.episodeRuntime', { runtime: formatRuntime(episodeRuntime) })}</span>` : ''}
+                ${seasons ? html`<span>${seasons}</span>` : ''}
+                ${movie.vote_average ? html`<span class="card-rating">⭐ ${movie.vote_average.toFixed(1)}</span>` : ''}
+            </div>
+            
+            ${movie.genres?.length ? html`
+                <ul class="dialog-genres">
+                    ${movie.genres.map(genre => html`<li>${genre.name}</li>`)}
+                </ul>
+            ` : ''}
+            
+            <p class="dialog-overview">${movie.overview || t('card.noSynopsis')}</p>
+            
+            <dl class="dialog-facts">
+                ${directors.length ? html`
+                    <dt>${t(isSeries ? 'details.createdBy' : 'details.director')}</dt>
+                    <dd>${directors.map(person => person.name).join(', ')}</dd>
+                ` : ''}
+                ${movie.budget ? html`
+                    <dt>${t('details.budget')}</dt>
+                    <dd>${formatMoney(movie.budget)}</dd>
+                ` : ''}
+                ${movie.revenue ? html`
+                    <dt>${t('details.revenue')}</dt>
+                    <dd>${formatMoney(movie.revenue)}</dd>
+                ` : ''}
+            </dl>
+            
+            ${cast.length ? html`
+                <h3 class="dialog-subtitle">${t('details.cast')}</h3>
+                <ul class="dialog-cast">
+                    ${cast.map(createCastMemberHTML)}
+                </ul>
+            ` : ''}
+            
+            ${trailer ? html`
+                <h3 class="dialog-subtitle">${t('details.trailer')}</h3>
+                <div class="dialog-trailer">
+                    <iframe
+                        src="${getTrailerUrl(trailer)}"
+                        title="${t('details.trailer')} - ${movie.title}"
+                        allow="accelerometer; encrypted-media; gyroscope; picture-in-picture; fullscreen"
+                        allowfullscreen
+                        loading="lazy"
+                    ></iframe>
+                </div>
+            ` : ''}
+        </div>
+    `;
+};
+
+/**
+ * Crée le HTML de l'image de fond (tailles responsive)
+ * @param {Object} movie - Détails du film
+ * @returns {SafeHTML|string} HTML de l'image (échappé) ou chaîne vide
+ */
+const createBackdropHTML = (movie) => {
+    if (!movie.backdrop_path) return '';
+    
+    const srcset = [
+        `${getImageUrl(movie.backdrop_path, IMAGE_SIZES.BACKDROP_SMALL)} 300w`,
+        `${getImageUrl(movie.backdrop_path, IMAGE_SIZES.BACKDROP_MEDIUM)} 780w`,
+        `${getImageUrl(movie.backdrop_path, IMAGE_SIZES.BACKDROP_LARGE)} 1280w`
+    ].join(', ');
+    
+    return html`
+        <img
+            class="dialog-backdrop"
+            src="${getImageUrl(movie.backdrop_path, IMAGE_SIZES.BACKDROP_MEDIUM)}"
+            srcset="${srcset}"
+            sizes="(max-width: 900px) 100vw, 900px"
+            alt=""
+        >
+    `;
+};
+
+/**
+ * Crée le HTML d'un membre de la distribution
+ * @param {Object} person - Acteur (credits.cast)
+ * @returns {SafeHTML} HTML de l'élément (échappé)
+ */
+const createCastMemberHTML = (person) => {
+    const photoUrl = getImageUrl(person.profile_path, IMAGE_SIZES.PROFILE_MEDIUM)
+        || 'https://via.placeholder.com/185x278?text=?';
+    
+    return html`
+        <li class="dialog-cast-member">
+            <img src="${photoUrl}" alt="" loading="lazy">
+            <span class="cast-name">${person.name}</span>
+            ${person.character ? html`<span class="cast-character">${person.character}</span>` : ''}
+        </li>
+    `;
+};
+
+// ===== HELPERS =====
+
+/**
+ * Choisit la meilleure bande-annonce disponible
+ * Priorité : bande-annonce officielle > bande-annonce > teaser
+ * @param {Array} videos - Vidéos TMDB
+ * @returns {Object|null} Vidéo retenue
+ */
+const pickTrailer = (videos) => {
+    const playable = videos.filter(video => video.site === 'YouTube' || video.site === 'Vimeo');
+    
+    const score = (video) => (
+        (video.type === 'Trailer' ? 2 : video.type === 'Teaser' ? 1 : 0) * 2
+        + (video.official ? 1 : 0)
+    );
+    
+    return playable
+        .filter(video => video.type === 'Trailer' || video.type === 'Teaser')
+        .sort((a, b) => score(b) - score(a))[0] || null;
+};
+
+/**
+ * Construit l'URL d'intégration d'une vidéo
+ * @param {Object} video - Vidéo TMDB
+ * @returns {string} URL de l'iframe
+ */
+const getTrailerUrl = (video) => {
+    if (video.site === 'Vimeo') {
+        return `https://player.vimeo.com/video/${encodeURIComponent(video.key)}`;
+    }
+    return `https://www.youtube-nocookie.com/embed/${encodeURIComponent(video.key)}`;
+};
+
+/**
+ * Formate une durée en minutes (ex: 148 -> "2 h 28 min")
+ * @param {number} minutes - Durée en minutes
+ * @returns {string} Durée formatée
+ */
+const formatRuntime = (minutes) => {
+    return t('details.runtime', {
+        hours: Math.floor(minutes / 60),
+        minutes: String(minutes % 60).padStart(2, '0')
+    });
+};
+
+/**
+ * Formate le nombre de saisons et d'épisodes (ex: "3 saison(s) · 24 épisode(s)")
+ * @param {Object} series - Détails de la série
+ * @returns {string} Texte affiché (vide si inconnu)
+ */
+export const formatSeasons = (series) => {
+    const parts = [];
+    
+    if (series.number_of_seasons) {
+        parts.push(t('card.seasons', { count: series.number_of_seasons }));
+    }
+    if (series.number_of_episodes) {
+        parts.push(t('card.episodes', { count: series.number_of_episodes }));
+    }
+    return parts.join(' · ');
+};
+
+/**
+ * Formate un montant en dollars selon la langue courante
+ * @param {number} amount - Montant en USD
+ * @returns {string} Montant formaté
+ */
+const formatMoney = (amount) => {
+    return new Intl.NumberFormat(getLanguage(), {
+        style: 'currency',
+        currency: 'USD',
+        maximumFractionDigits: 0
+    }).format(amount);
+};
\ No newline at end of file
@@ -0,0 +1,78 @@
+// ===== MODULE DOM =====
+// Rendu HTML sûr : toute valeur interpolée est échappée, sauf un fragment déjà produit par html``
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;',
+    '`': '&#96;'
+};
+
+/**
+ * Fragment HTML dont le contenu est sûr (produit par html``)
+ */
+class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
+    }
+    
+    toString() {
+        return this.markup;
+    }
+}
+
+// ===== ESCAPING =====
+
+/**
+ * Échappe une valeur pour l'insérer dans du HTML (texte ou attribut entre guillemets)
+ * @param {*} value - Valeur à échapper
+ * @returns {string} Texte échappé
+ */
+export const escapeHtml = (value) => {
+    return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+};
+
+/**
+ * Convertit une valeur interpolée en HTML
+ * null, undefined et false ne produisent rien ; les tableaux sont concaténés
+ * @param {*} value - Valeur interpolée
+ * @returns {string} HTML sûr
+ */
+const renderValue = (value) => {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHTML) return value.markup;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    return escapeHtml(value);
+};
+
+// ===== TEMPLATES =====
+
+/**
+ * Tagged template qui échappe les valeurs interpolées
+ * Les attributs doivent être entre guillemets : alt="${movie.title}"
+ * @example html`<h3>${movie.title}</h3>${cast.map(person => html`<li>${person.name}</li>`)}`
+ * @param {Array<string>} strings - Parties statiques du template
+ * @param {...*} values - Valeurs interpolées
+ * @returns {SafeHTML} Fragment HTML sûr
+ */
+export const html = (strings, ...values) => {
+    return new SafeHTML(strings.reduce((markup, string, index) => (
+        markup + string + (index < values.length ? renderValue(values[index]) : '')
+    ), ''));
+};
+
+/**
+ * Remplace le contenu d'un élément par un fragment html``
+ * Une chaîne brute est insérée comme texte, jamais comme HTML
+ * @param {HTMLElement} element - Élément cible
+ * @param {SafeHTML|string} content - Fragment ou texte
+ */
+export const setHTML = (element, content) => {
+    if (content instanceof SafeHTML) {
+        element.innerHTML = content.markup;
+    } else {
+        element.textContent = content ?? '';
+    }
+};
\ No newline at end of file
@@ -0,0 +1,153 @@
+// ===== MODULE ERRORS =====
+// Erreurs typées de l'application, chacune associée à un message traduit
+
+import { t } from './i18n.js';
+
+/**
+ * Erreur de base de l'application
+ * messageKey : clé du message à afficher (voir locales)
+ */
+export class AppError extends Error {
+    constructor(message, { cause, messageKey = 'error.search' } = {}) {
+        super(message, { cause });
+        this.name = 'AppError';
+        this.messageKey = messageKey;
+    }
+}
+
+/**
+ * Réseau indisponible (hors ligne, DNS, CORS...)
+ */
+export class NetworkError extends AppError {
+    constructor(message = 'Réseau indisponible', options = {}) {
+        super(message, { messageKey: 'error.network', ...options });
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * Aucune réponse dans le délai imparti
+ */
+export class TimeoutError extends NetworkError {
+    constructor(timeout, options = {}) {
+        super(`Délai dépassé (${timeout} ms)`, { messageKey: 'error.timeout', ...options });
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Réponse HTTP en erreur
+ */
+export class ApiError extends AppError {
+    constructor(status, message = `Erreur API: ${status}`, options = {}) {
+        super(message, options);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * Clé API invalide ou révoquée (HTTP 401)
+ */
+export class AuthError extends ApiError {
+    constructor(message, options = {}) {
+        super(401, message, { messageKey: 'error.auth', ...options });
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * Ressource introuvable (HTTP 404)
+ */
+export class NotFoundError extends ApiError {
+    constructor(message, options = {}) {
+        super(404, message, { messageKey: 'error.notFound', ...options });
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * Trop de requêtes (HTTP 429)
+ * retryAfter : délai demandé par l'API en millisecondes (null si inconnu)
+ */
+export class RateLimitError extends ApiError {
+    constructor(message, { retryAfter = null, ...options } = {}) {
+        super(429, message, { messageKey: 'error.rateLimit', ...options });
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Erreur côté serveur (HTTP 5xx)
+ */
+export class ServerError extends ApiError {
+    constructor(status, message, options = {}) {
+        super(status, message, { messageKey: 'error.apiServer', ...options });
+        this.name = 'ServerError';
+    }
+}
+
+// ===== FACTORIES =====
+
+/**
+ * Crée l'erreur typée correspondant à un statut HTTP
+ * @param {number} status - Code HTTP
+ * @param {string} statusText - Libellé HTTP
+ * @param {Object} options - Options ({ retryAfter } pour les 429)
+ * @returns {ApiError} Erreur typée
+ */
+export const createHttpError = (status, statusText = '', { retryAfter = null } = {}) => {
+    const message = `Erreur API: ${status} - ${statusText}`;
+    
+    if (status === 401) return new AuthError(message);
+    if (status === 404) return new NotFoundError(message);
+    if (status === 429) return new RateLimitError(message, { retryAfter });
+    if (status >= 500) return new ServerError(status, message);
+    return new ApiError(status, message);
+};
+
+// ===== MESSAGES =====
+
+/**
+ * Retourne la clé du message à afficher pour une erreur
+ * Une erreur réseau alors que le navigateur est hors ligne affiche le message "hors ligne"
+ * @param {Error} error - Erreur à décrire
+ * @param {string} fallbackKey - Clé utilisée pour les erreurs non typées
+ * @returns {string} Clé de traduction
+ */
+export const getErrorMessageKey = (error, fallbackKey = 'error.search') => {
+    if (error instanceof NetworkError && typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return 'error.offline';
+    }
+    return error instanceof AppError ? error.messageKey : fallbackKey;
+};
+
+/**
+ * Affiche le message d'une erreur dans un conteneur, avec un bouton "Réessayer"
+ * @param {HTMLElement} container - Élément qui reçoit le message (son contenu est remplacé)
+ * @param {Error} error - Erreur à afficher
+ * @param {Object} options - Options
+ * @param {Function} options.onRetry - Action rejouée par le bouton (pas de bouton si absente)
+ * @param {string} options.fallbackKey - Clé utilisée pour les erreurs non typées
+ */
+export const renderError = (container, error, { onRetry = null, fallbackKey } = {}) => {
+    const message = document.createElement('span');
+    message.className = 'error-text';
+    message.textContent = t(getErrorMessageKey(error, fallbackKey));
+    
+    container.replaceChildren(message);
+    
+    if (onRetry) {
+        const retryBtn = document.createElement('button');
+        retryBtn.type = 'button';
+        retryBtn.className = 'btn-retry';
+        retryBtn.textContent = t('error.retry');
+        retryBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onRetry();
+        });
+        container.appendChild(retryBtn);
+    }
+};
\ No newline at end of file
@@ -1,146 +1,475 @@
 // ===== MODULE FILTERS =====
 // Gère les filtres de recherche et l'autocomplete
 
-import { getGenres, searchPerson, getImageUrl, IMAGE_SIZES } from './api.js';
+import {
+    getGenres, searchPerson, searchKeyword, getKeyword, getProviderCatalog, getProviderLogo,
+    getImageUrl, getMediaType, IMAGE_SIZES, DEFAULT_MIN_VOTES
+} from './api.js';
+import { t } from './i18n.js';
+import { html, setHTML } from './dom.js';
+import { createAutocomplete, highlightMatch } from './autocomplete.js';
+import {
+    getDepartmentLabel, getSuggestedRole, getRoleChoice, setRoleChoice, PERSON_ROLES, DEFAULT_PERSON_ROLE
+} from './person.js';
 
 let selectedActorId = null;
-let actorDebounceTimer = null;
+let selectedActorName = '';
+let actorAutocomplete = null;
+
+let keywordAutocomplete = null;
+const keywordStates = new Map(); // ID du mot-clé -> { name, state: 'include' | 'exclude' }
+
+let genreList = [];
+const genreStates = new Map(); // ID du genre -> 'include' | 'exclude'
+
+let providerList = [];
+let showAllProviders = false;
+const selectedProviders = new Set(); // IDs des plateformes sélectionnées
+
+// Nombre de plateformes affichées avant "Afficher toutes les plateformes"
+const PROVIDERS_PREVIEW_COUNT = 12;
+
+// Cycle d'un chip de genre à chaque clic
+const GENRE_CYCLE = {
+    none: 'include',
+    include: 'exclude',
+    exclude: 'none'
+};
 
 // ===== INITIALIZATION =====
 
 /**
- * Initialise les filtres (genres et années)
+ * Initialise les filtres (années, plages, autocomplete)
+ * Les genres et les plateformes sont chargés séparément par loadFilterOptions
  */
-export const initFilters = async () => {
-    await populateGenres();
+export const initFilters = () => {
     populateYears();
+    initYearRange();
+    initProvidersToggle();
     initActorAutocomplete();
+    initKeywordAutocomplete();
+    syncActorField();
+    
+    document.getElementById('min-votes').value = DEFAULT_MIN_VOTES;
+};
+
+/**
+ * Charge depuis TMDB les options des filtres (genres et plateformes)
+ * @returns {Promise<void>}
+ * @throws {AppError} Si le chargement échoue
+ */
+export const loadFilterOptions = async () => {
+    await Promise.all([populateGenres(), populateProviders()]);
+};
+
+/**
+ * Adapte les filtres au type de contenu courant (films ou séries)
+ * Genres et catalogue des plateformes sont propres à chaque type ; l'acteur ne s'applique qu'aux films
+ * @returns {Promise<void>}
+ * @throws {AppError} Si le chargement échoue
+ */
+export const refreshMediaType = async () => {
+    syncActorField();
+    await loadFilterOptions();
 };
 
 // ===== GENRES =====
 
 /**
- * Remplit le select des genres
+ * Charge les genres et affiche les chips
+ * Les genres sélectionnés absents de la liste (autre type de contenu) sont retirés
  */
 const populateGenres = async () => {
-    const genreSelect = document.getElementById('genre');
+    genreList = await getGenres();
+    
+    const availableIds = new Set(genreList.map(genre => genre.id));
+    [...genreStates.keys()].forEach(id => {
+        if (!availableIds.has(id)) {
+            genreStates.delete(id);
+        }
+    });
     
-    try {
-        const genres = await getGenres();
+    renderGenreChips();
+};
+
+/**
+ * Recharge les genres dans la langue courante en conservant la sélection
+ */
+export const refreshGenres = async () => {
+    await populateGenres();
+};
+
+/**
+ * Affiche un chip par genre
+ * Un clic inclut le genre, un second l'exclut, un troisième le désélectionne
+ */
+const renderGenreChips = () => {
+    const container = document.getElementById('genre-chips');
+    container.innerHTML = '';
+    
+    genreList.forEach(genre => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'chip';
+        chip.dataset.genreId = genre.id;
+        chip.textContent = genre.name;
         
-        genres.forEach(genre => {
-            const option = document.createElement('option');
-            option.value = genre.id;
-            option.textContent = genre.name;
-            genreSelect.appendChild(option);
+        chip.addEventListener('click', () => {
+            const nextState = GENRE_CYCLE[genreStates.get(genre.id) || 'none'];
+            
+            if (nextState === 'none') {
+                genreStates.delete(genre.id);
+            } else {
+                genreStates.set(genre.id, nextState);
+            }
+            
+            updateGenreChip(chip, genre);
         });
-    } catch (error) {
-        console.error('Erreur lors du chargement des genres:', error);
+        
+        updateGenreChip(chip, genre);
+        container.appendChild(chip);
+    });
+};
+
+/**
+ * Met à jour l'apparence et le libellé accessible d'un chip de genre
+ * @param {HTMLButtonElement} chip - Chip à mettre à jour
+ * @param {Object} genre - Genre ({ id, name })
+ */
+const updateGenreChip = (chip, genre) => {
+    const state = genreStates.get(genre.id) || 'none';
+    
+    chip.classList.toggle('included', state === 'include');
+    chip.classList.toggle('excluded', state === 'exclude');
+    chip.setAttribute('aria-label', t('filters.genreChip', { name: genre.name, state: t(`filters.genreState.${state}`) }));
+};
+
+// ===== PLATFORMS =====
+
+/**
+ * Charge le catalogue des plateformes de la région courante
+ * Les plateformes sélectionnées absentes de la nouvelle région sont retirées
+ */
+const populateProviders = async () => {
+    providerList = await getProviderCatalog();
+    
+    const availableIds = new Set(providerList.map(provider => provider.provider_id));
+    [...selectedProviders].forEach(id => {
+        if (!availableIds.has(id)) {
+            selectedProviders.delete(id);
+        }
+    });
+    
+    renderProviderChips();
+};
+
+/**
+ * Recharge les plateformes (changement de région ou de langue)
+ */
+export const refreshProviders = async () => {
+    await populateProviders();
+};
+
+/**
+ * Initialise le bouton "Afficher toutes les plateformes"
+ */
+const initProvidersToggle = () => {
+    document.getElementById('platforms-toggle').addEventListener('click', () => {
+        showAllProviders = !showAllProviders;
+        renderProviderChips();
+    });
+};
+
+/**
+ * Affiche un chip (logo + nom) par plateforme
+ * Les plateformes sélectionnées restent visibles même repliées
+ */
+const renderProviderChips = () => {
+    const container = document.getElementById('platform-chips');
+    const toggle = document.getElementById('platforms-toggle');
+    container.innerHTML = '';
+    
+    if (providerList.length === 0) {
+        setHTML(container, html`<p class="filter-hint">${t('filters.noPlatforms')}</p>`);
+        toggle.classList.add('hidden');
+        return;
     }
+    
+    const visibleProviders = showAllProviders
+        ? providerList
+        : providerList.filter((provider, index) => (
+            index < PROVIDERS_PREVIEW_COUNT || selectedProviders.has(provider.provider_id)
+        ));
+    
+    visibleProviders.forEach(provider => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'chip provider-chip';
+        chip.setAttribute('aria-pressed', selectedProviders.has(provider.provider_id));
+        
+        const logoUrl = getProviderLogo(provider.logo_path);
+        setHTML(chip, html`
+            ${logoUrl ? html`<img src="${logoUrl}" alt="" class="provider-logo" loading="lazy">` : ''}
+            <span>${provider.provider_name}</span>
+        `);
+        
+        chip.addEventListener('click', () => {
+            if (selectedProviders.has(provider.provider_id)) {
+                selectedProviders.delete(provider.provider_id);
+            } else {
+                selectedProviders.add(provider.provider_id);
+            }
+            chip.setAttribute('aria-pressed', selectedProviders.has(provider.provider_id));
+        });
+        
+        container.appendChild(chip);
+    });
+    
+    toggle.classList.toggle('hidden', providerList.length <= PROVIDERS_PREVIEW_COUNT);
+    toggle.textContent = t(showAllProviders ? 'filters.showFewerPlatforms' : 'filters.showAllPlatforms');
 };
 
 // ===== YEARS =====
 
 /**
- * Remplit le select des années
+ * Remplit les selects des années et des décennies
  */
 const populateYears = () => {
-    const yearSelect = document.getElementById('year');
+    const yearFromSelect = document.getElementById('year-from');
+    const yearToSelect = document.getElementById('year-to');
+    const decadeSelect = document.getElementById('decade');
     const currentYear = new Date().getFullYear();
     
     // De l'année actuelle à 1900
     for (let year = currentYear; year >= 1900; year--) {
-        const option = document.createElement('option');
-        option.value = year;
-        option.textContent = year;
-        yearSelect.appendChild(option);
+        [yearFromSelect, yearToSelect].forEach(select => {
+            const option = document.createElement('option');
+            option.value = year;
+            option.textContent = year;
+            select.appendChild(option);
+        });
+        
+        if (year % 10 === 0) {
+            const option = document.createElement('option');
+            option.value = year;
+            option.textContent = `${year}s`;
+            decadeSelect.appendChild(option);
+        }
     }
 };
 
-// ===== ACTOR AUTOCOMPLETE =====
-
 /**
- * Initialise l'autocomplete pour les acteurs
+ * Synchronise la décennie et la plage d'années
  */
-const initActorAutocomplete = () => {
-    const input = document.getElementById('actor');
-    const suggestionsContainer = document.getElementById('actor-suggestions');
+const initYearRange = () => {
+    const yearFromSelect = document.getElementById('year-from');
+    const yearToSelect = document.getElementById('year-to');
+    const decadeSelect = document.getElementById('decade');
     
-    input.addEventListener('input', (e) => {
-        const query = e.target.value.trim();
+    // Choisir une décennie remplit la plage d'années
+    decadeSelect.addEventListener('change', () => {
+        const decade = Number(decadeSelect.value);
         
-        // Clear previous timer
-        if (actorDebounceTimer) {
-            clearTimeout(actorDebounceTimer);
+        if (decadeSelect.value === '') {
+            yearFromSelect.value = '';
+            yearToSelect.value = '';
+            return;
         }
         
-        // Debounce pour éviter trop de requêtes
-        actorDebounceTimer = setTimeout(async () => {
-            if (query.length >= 2) {
-                const results = await searchPerson(query);
-                displayActorSuggestions(results, suggestionsContainer, input);
-            } else {
-                suggestionsContainer.classList.remove('show');
-                suggestionsContainer.innerHTML = '';
-            }
-        }, 300);
+        yearFromSelect.value = decade;
+        yearToSelect.value = Math.min(decade + 9, new Date().getFullYear());
     });
     
-    // Fermer les suggestions si click ailleurs
-    document.addEventListener('click', (e) => {
-        if (!input.contains(e.target) && !suggestionsContainer.contains(e.target)) {
-            suggestionsContainer.classList.remove('show');
+    // Modifier la plage à la main met à jour la décennie affichée
+    [yearFromSelect, yearToSelect].forEach(select => {
+        select.addEventListener('change', syncDecade);
+    });
+};
+
+/**
+ * Sélectionne la décennie correspondant à la plage d'années (ou aucune)
+ */
+const syncDecade = () => {
+    const yearFrom = Number(document.getElementById('year-from').value);
+    const yearTo = Number(document.getElementById('year-to').value);
+    const decadeSelect = document.getElementById('decade');
+    const isDecade = yearFrom % 10 === 0
+        && yearTo === Math.min(yearFrom + 9, new Date().getFullYear());
+    
+    decadeSelect.value = yearFrom && isDecade ? yearFrom : '';
+};
+
+// ===== ACTOR AUTOCOMPLETE =====
+
+/**
+ * Initialise l'autocomplete des personnes (acteurs, réalisateurs, scénaristes...)
+ * Le rôle (jeu, réalisation, scénario, musique) est présélectionné d'après le métier
+ * principal de la personne et reste modifiable, comme en mode filmographie
+ */
+const initActorAutocomplete = () => {
+    actorAutocomplete = createAutocomplete({
+        input: document.getElementById('actor'),
+        listbox: document.getElementById('actor-suggestions'),
+        search: searchPerson,
+        renderItem: renderActorSuggestion,
+        getLabel: person => person.name,
+        emptyKey: 'filters.noActor',
+        recentKey: 'actors',
+        toRecent: (person) => ({
+            id: person.id,
+            name: person.name,
+            profile_path: person.profile_path || null,
+            known_for_department: person.known_for_department || '',
+            known_for: (person.known_for || []).slice(0, 2).map(m => ({ title: m.title || m.name }))
+        }),
+        onSelect: (person) => {
+            selectedActorId = person.id;
+            selectedActorName = person.name;
+            setRoleChoice('actor-role', getSuggestedRole(person.known_for_department));
+        },
+        onClear: () => {
+            selectedActorId = null;
+            selectedActorName = '';
+            setRoleChoice('actor-role', DEFAULT_PERSON_ROLE);
         }
     });
 };
 
 /**
- * Affiche les suggestions d'acteurs
- * @param {Array} persons - Liste de personnes
- * @param {HTMLElement} container - Conteneur des suggestions
- * @param {HTMLInputElement} input - Input de recherche
+ * Active le champ acteur pour les films, le désactive (et le vide) pour les séries
+ * TMDB ne sait pas filtrer les séries par acteur
  */
-const displayActorSuggestions = (persons, container, input) => {
-    container.innerHTML = '';
+const syncActorField = () => {
+    const unavailable = getMediaType() !== 'movie';
     
-    if (persons.length === 0) {
-        container.innerHTML = '<div class="no-suggestions">Aucun acteur trouvé</div>';
-        container.classList.add('show');
-        return;
+    if (unavailable) {
+        actorAutocomplete.clear();
+        selectedActorId = null;
+        selectedActorName = '';
+        setRoleChoice('actor-role', DEFAULT_PERSON_ROLE);
     }
     
-    persons.forEach(person => {
-        const suggestionItem = document.createElement('div');
-        suggestionItem.className = 'suggestion-item';
-        
-        // Photo de l'acteur
-        const profileUrl = person.profile_path 
-            ? getImageUrl(person.profile_path, IMAGE_SIZES.PROFILE_SMALL)
-            : 'https://via.placeholder.com/40x60?text=?';
-        
-        // Films connus
-        const knownFor = person.known_for 
-            ? person.known_for.slice(0, 2).map(m => m.title || m.name).join(', ')
-            : '';
-        
-        suggestionItem.innerHTML = `
-            <img src="${profileUrl}" alt="${person.name}">
+    document.getElementById('actor').disabled = unavailable;
+    document.querySelectorAll('input[name="actor-role"]').forEach(input => {
+        input.disabled = unavailable;
+    });
+    document.getElementById('actor-movie-only').classList.toggle('hidden', !unavailable);
+};
+
+/**
+ * Crée le contenu d'une suggestion de personne (métier et films connus)
+ * @param {Object} person - Personne TMDB
+ * @param {string} query - Recherche saisie (mise en évidence)
+ * @returns {SafeHTML} HTML de la suggestion (échappé)
+ */
+const renderActorSuggestion = (person, query) => {
+    // Photo de l'acteur
+    const profileUrl = person.profile_path 
+        ? getImageUrl(person.profile_path, IMAGE_SIZES.PROFILE_SMALL)
+        : 'https://via.placeholder.com/40x60?text=?';
+    
+    // Métier et films connus
+    const knownFor = person.known_for 
+        ? person.known_for.slice(0, 2).map(m => m.title || m.name).join(', ')
+        : '';
+    const meta = [getDepartmentLabel(person.known_for_department), knownFor].filter(Boolean).join(' · ');
+    
+    return html`
+        <img src="${profileUrl}" alt="">
+        <div class="suggestion-info">
+            <div class="suggestion-name">${highlightMatch(person.name, query)}</div>
+            ${meta ? html`<div class="suggestion-meta">${meta}</div>` : ''}
+        </div>
+    `;
+};
+
+// ===== KEYWORDS =====
+
+/**
+ * Initialise l'autocomplete des mots-clés TMDB (thèmes : "time travel", "heist"...)
+ * Chaque mot-clé choisi devient un chip inclus ; un clic sur le chip l'exclut
+ */
+const initKeywordAutocomplete = () => {
+    keywordAutocomplete = createAutocomplete({
+        input: document.getElementById('keyword-input'),
+        listbox: document.getElementById('keyword-suggestions'),
+        search: searchKeyword,
+        renderItem: (keyword, query) => html`
             <div class="suggestion-info">
-                <div class="suggestion-name">${person.name}</div>
-                ${knownFor ? `<div class="suggestion-meta">${knownFor}</div>` : ''}
+                <div class="suggestion-name">${highlightMatch(keyword.name, query)}</div>
             </div>
-        `;
+        `,
+        getLabel: keyword => keyword.name,
+        emptyKey: 'filters.noKeyword',
+        recentKey: 'keywords',
+        toRecent: keyword => ({ id: keyword.id, name: keyword.name }),
+        onSelect: (keyword) => {
+            if (!keywordStates.has(keyword.id)) {
+                keywordStates.set(keyword.id, { name: keyword.name, state: 'include' });
+                renderKeywordChips();
+            }
+        },
+        clearOnSelect: true
+    });
+};
+
+/**
+ * Affiche les mots-clés choisis : un clic bascule inclus / exclu, ✕ retire le mot-clé
+ */
+const renderKeywordChips = () => {
+    const container = document.getElementById('keyword-chips');
+    container.innerHTML = '';
+    
+    keywordStates.forEach((keyword, id) => {
+        const chip = document.createElement('span');
+        chip.className = 'chip keyword-chip';
+        chip.classList.toggle('included', keyword.state === 'include');
+        chip.classList.toggle('excluded', keyword.state === 'exclude');
         
-        suggestionItem.addEventListener('click', () => {
-            input.value = person.name;
-            selectedActorId = person.id;
-            container.classList.remove('show');
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'keyword-toggle';
+        toggle.textContent = keyword.name;
+        toggle.setAttribute('aria-label', t('filters.keywordChip', { name: keyword.name, state: t(`filters.keywordState.${keyword.state}`) }));
+        toggle.addEventListener('click', () => {
+            keyword.state = keyword.state === 'include' ? 'exclude' : 'include';
+            renderKeywordChips();
+            container.querySelector(`[data-keyword-id="${id}"] .keyword-toggle`).focus();
         });
         
-        container.appendChild(suggestionItem);
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'seed-remove';
+        removeBtn.textContent = '✕';
+        removeBtn.setAttribute('aria-label', t('filters.removeKeyword', { name: keyword.name }));
+        removeBtn.addEventListener('click', () => {
+            keywordStates.delete(id);
+            renderKeywordChips();
+            document.getElementById('keyword-input').focus();
+        });
+        
+        chip.dataset.keywordId = id;
+        chip.append(toggle, removeBtn);
+        container.appendChild(chip);
     });
-    
-    container.classList.add('show');
+};
+
+/**
+ * Met à jour les libellés des chips de mots-clés (changement de langue)
+ */
+export const refreshKeywords = () => {
+    renderKeywordChips();
+};
+
+/**
+ * IDs des mots-clés dans un état
+ * @param {string} state - 'include' ou 'exclude'
+ * @returns {Array<number>} IDs (dans l'ordre de sélection)
+ */
+const getKeywordIds = (state) => {
+    return [...keywordStates.entries()]
+        .filter(([, keyword]) => keyword.state === state)
+        .map(([id]) => id);
 };
 
 // ===== GET FILTERS =====
@@ -150,12 +479,29 @@ const displayActorSuggestions = (persons, container, input) => {
  * @returns {Object} Filtres sélectionnés
  */
 export const getFilters = () => {
+    const genreEntries = [...genreStates.entries()];
+    const actorRole = getRoleChoice('actor-role');
+    const actorCredits = PERSON_ROLES[actorRole].credits; // with_cast ou with_crew
+    
     return {
-        genre: document.getElementById('genre').value,
-        year: document.getElementById('year').value,
+        genres: genreEntries.filter(([, state]) => state === 'include').map(([id]) => id),
+        genreMode: document.querySelector('input[name="genre-mode"]:checked').value,
+        excludedGenres: genreEntries.filter(([, state]) => state === 'exclude').map(([id]) => id),
+        yearFrom: document.getElementById('year-from').value,
+        yearTo: document.getElementById('year-to').value,
         country: document.getElementById('country').value,
-        platform: document.getElementById('platform').value,
-        actor: selectedActorId
+        platforms: [...selectedProviders],
+        monetization: [...document.querySelectorAll('input[name="monetization"]:checked')].map(input => input.value),
+        keywords: getKeywordIds('include'),
+        keywordMode: document.querySelector('input[name="keyword-mode"]:checked').value,
+        excludedKeywords: getKeywordIds('exclude'),
+        actor: actorCredits === 'cast' ? selectedActorId : null,
+        crew: actorCredits === 'crew' ? selectedActorId : null,
+        actorRole: selectedActorId ? actorRole : '',
+        minRating: document.getElementById('min-rating').value,
+        runtimeMin: document.getElementById('runtime-min').value,
+        runtimeMax: document.getElementById('runtime-max').value,
+        minVotes: document.getElementById('min-votes').value
     };
 };
 
@@ -163,19 +509,188 @@ export const getFilters = () => {
  * Réinitialise tous les filtres
  */
 export const resetFilters = () => {
-    document.getElementById('genre').value = '';
-    document.getElementById('year').value = '';
+    genreStates.clear();
+    renderGenreChips();
+    document.getElementById('genre-mode-and').checked = true;
+    document.getElementById('decade').value = '';
+    document.getElementById('year-from').value = '';
+    document.getElementById('year-to').value = '';
     document.getElementById('country').value = '';
-    document.getElementById('platform').value = '';
-    document.getElementById('actor').value = '';
+    selectedProviders.clear();
+    renderProviderChips();
+    document.querySelectorAll('input[name="monetization"]').forEach(input => {
+        input.checked = false;
+    });
+    actorAutocomplete.clear();
+    keywordAutocomplete.clear();
+    keywordStates.clear();
+    renderKeywordChips();
+    document.getElementById('keyword-mode-and').checked = true;
+    document.getElementById('min-rating').value = '';
+    document.getElementById('runtime-min').value = '';
+    document.getElementById('runtime-max').value = '';
+    document.getElementById('min-votes').value = DEFAULT_MIN_VOTES;
     selectedActorId = null;
+    selectedActorName = '';
+    setRoleChoice('actor-role', DEFAULT_PERSON_ROLE);
+};
+
+// ===== SUMMARY =====
+
+/**
+ * Décrit les filtres actifs en une ligne (légende de l'image partagée)
+ * @returns {string} Ex: "Drame + Crime · 2010–2019 · heist · Denis Villeneuve"
+ */
+export const describeFilters = () => {
+    const filters = getFilters();
+    const genreNames = (ids) => ids.map(id => genreList.find(genre => genre.id === id)?.name).filter(Boolean);
+    const keywordNames = (state) => getKeywordIds(state).map(id => keywordStates.get(id).name);
+    const without = [...genreNames(filters.excludedGenres), ...keywordNames('exclude')];
+    
+    return [
+        genreNames(filters.genres).join(filters.genreMode === 'or' ? ' / ' : ' + '),
+        describeYears(filters.yearFrom, filters.yearTo),
+        filters.country && t(`country.${filters.country}`),
+        keywordNames('include').join(filters.keywordMode === 'or' ? ' / ' : ' + '),
+        selectedActorId && t('filters.summaryPerson', { name: selectedActorName, role: t(`person.role.${filters.actorRole}`) }),
+        filters.platforms.map(id => providerList.find(provider => provider.provider_id === id)?.provider_name).filter(Boolean).join(' / '),
+        filters.minRating && `⭐ ≥ ${filters.minRating}`,
+        without.length > 0 && t('filters.summaryWithout', { list: without.join(', ') })
+    ].filter(Boolean).join(' · ');
+};
+
+/**
+ * Décrit une plage d'années
+ * @param {string} yearFrom - Première année
+ * @param {string} yearTo - Dernière année
+ * @returns {string} Ex: "2010–2019", "≥ 2010" (vide sans année)
+ */
+const describeYears = (yearFrom, yearTo) => {
+    if (yearFrom && yearTo) {
+        const [first, last] = [Number(yearFrom), Number(yearTo)].sort((a, b) => a - b);
+        return first === last ? String(first) : `${first}–${last}`;
+    }
+    if (yearFrom) return `≥ ${yearFrom}`;
+    return yearTo ? `≤ ${yearTo}` : '';
+};
+
+// ===== URL STATE =====
+
+/**
+ * Exporte les filtres sous forme de paramètres d'URL
+ * @returns {Object} Paramètres (chaînes) décrivant les filtres
+ */
+export const getFilterParams = () => {
+    const filters = getFilters();
+    
+    return {
+        genres: filters.genres.join(','),
+        genreMode: filters.genres.length > 1 ? filters.genreMode : '',
+        without: filters.excludedGenres.join(','),
+        yearFrom: filters.yearFrom,
+        yearTo: filters.yearTo,
+        country: filters.country,
+        platforms: filters.platforms.join(','),
+        monetization: filters.monetization.join(','),
+        keywords: filters.keywords.join(','),
+        keywordMode: filters.keywords.length > 1 ? filters.keywordMode : '',
+        withoutKeywords: filters.excludedKeywords.join(','),
+        actor: selectedActorId ?? '',
+        actorName: selectedActorId ? selectedActorName : '',
+        actorRole: filters.actorRole === DEFAULT_PERSON_ROLE ? '' : filters.actorRole,
+        minRating: filters.minRating,
+        runtimeMin: filters.runtimeMin,
+        runtimeMax: filters.runtimeMax,
+        minVotes: Number(filters.minVotes) === DEFAULT_MIN_VOTES ? '' : filters.minVotes
+    };
+};
+
+/**
+ * Restaure les filtres depuis des paramètres d'URL
+ * Les noms des mots-clés sont relus depuis TMDB
+ * @param {Object} params - Paramètres lus dans l'URL
+ * @returns {Promise<void>}
+ */
+export const applyFilterParams = async (params) => {
+    resetFilters();
+    
+    parseIdList(params.genres).forEach(id => genreStates.set(id, 'include'));
+    parseIdList(params.without).forEach(id => genreStates.set(id, 'exclude'));
+    renderGenreChips();
+    
+    if (params.genreMode === 'or') {
+        document.getElementById('genre-mode-or').checked = true;
+    }
+    
+    document.getElementById('year-from').value = params.yearFrom || '';
+    document.getElementById('year-to').value = params.yearTo || '';
+    syncDecade();
+    
+    document.getElementById('country').value = params.country || '';
+    
+    parseIdList(params.platforms).forEach(id => selectedProviders.add(id));
+    renderProviderChips();
+    
+    const monetization = (params.monetization || '').split(',');
+    document.querySelectorAll('input[name="monetization"]').forEach(input => {
+        input.checked = monetization.includes(input.value);
+    });
+    
+    document.getElementById('min-rating').value = params.minRating || '';
+    document.getElementById('runtime-min').value = params.runtimeMin || '';
+    document.getElementById('runtime-max').value = params.runtimeMax || '';
+    document.getElementById('min-votes').value = params.minVotes || DEFAULT_MIN_VOTES;
+    
+    if (params.actor && getMediaType() === 'movie') {
+        selectedActorId = Number(params.actor);
+        selectedActorName = params.actorName || '';
+        actorAutocomplete.setSelection({ id: selectedActorId, name: selectedActorName });
+        setRoleChoice('actor-role', params.actorRole);
+    }
+    
+    if (params.keywordMode === 'or') {
+        document.getElementById('keyword-mode-or').checked = true;
+    }
+    
+    const keywordIds = [
+        ...parseIdList(params.keywords).map(id => [id, 'include']),
+        ...parseIdList(params.withoutKeywords).map(id => [id, 'exclude'])
+    ];
+    const keywords = await Promise.all(keywordIds.map(async ([id, state]) => {
+        try {
+            const keyword = await getKeyword(id);
+            return [id, { name: keyword.name, state }];
+        } catch (error) {
+            console.error('Erreur lors de la récupération du mot-clé:', error);
+            return [id, { name: `#${id}`, state }];
+        }
+    }));
+    
+    keywords.forEach(([id, keyword]) => keywordStates.set(id, keyword));
+    renderKeywordChips();
 };
 
 /**
- * Vérifie si au moins un filtre est sélectionné
+ * Convertit une liste d'IDs séparés par des virgules
+ * @param {string} value - Ex: "18,28"
+ * @returns {Array<number>} IDs valides
+ */
+const parseIdList = (value) => {
+    return (value || '')
+        .split(',')
+        .map(Number)
+        .filter(id => Number.isInteger(id) && id > 0);
+};
+
+/**
+ * Vérifie si au moins un critère de recherche est sélectionné
+ * Les modes ET/OU et le nombre minimum de votes ne sont que des réglages
  * @returns {boolean} true si au moins un filtre est actif
  */
 export const hasActiveFilters = () => {
-    const filters = getFilters();
-    return Object.values(filters).some(value => value !== '' && value !== null);
+    const { genreMode, keywordMode, minVotes, ...criteria } = getFilters();
+    
+    return Object.values(criteria).some(value => (
+        Array.isArray(value) ? value.length > 0 : value !== '' && value !== null
+    ));
 };
\ No newline at end of file
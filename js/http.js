@@ -0,0 +1,173 @@
+// ===== MODULE HTTP =====
+// Requêtes réseau robustes : délai maximal, nouvelles tentatives, limite de débit, annulation
+
+import { NetworkError, TimeoutError, createHttpError } from './errors.js';
+
+const DEFAULT_TIMEOUT = 10000; // Délai maximal d'une tentative (ms)
+const MAX_RETRIES = 3; // Nouvelles tentatives après le premier essai
+const BASE_RETRY_DELAY = 500; // Premier délai d'attente, doublé à chaque tentative (ms)
+const MAX_RETRY_DELAY = 8000;
+const MAX_RETRY_AFTER = 60000; // Plafond d'attente imposé par un en-tête Retry-After (ms)
+
+// Codes HTTP transitoires qui justifient une nouvelle tentative
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Tant que l'API nous limite (HTTP 429), toutes les requêtes attendent cette date
+let rateLimitedUntil = 0;
+
+// ===== HELPERS =====
+
+/**
+ * Vérifie si une erreur provient d'une annulation volontaire (AbortController)
+ * @param {Error} error - Erreur à tester
+ * @returns {boolean} true si la requête a été annulée
+ */
+export const isAbortError = (error) => {
+    return error?.name === 'AbortError';
+};
+
+/**
+ * Attend un délai, en s'interrompant si la requête est annulée
+ * @param {number} ms - Durée en millisecondes
+ * @param {AbortSignal} signal - Signal d'annulation (optionnel)
+ * @returns {Promise<void>}
+ */
+const wait = (ms, signal) => {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+};
+
+/**
+ * Calcule le délai avant la prochaine tentative (backoff exponentiel avec variation aléatoire)
+ * @param {number} attempt - Numéro de la tentative échouée (à partir de 0)
+ * @returns {number} Délai en millisecondes
+ */
+const getBackoffDelay = (attempt) => {
+    const delay = Math.min(BASE_RETRY_DELAY * 2 ** attempt, MAX_RETRY_DELAY);
+    return delay / 2 + Math.random() * delay / 2;
+};
+
+/**
+ * Lit l'en-tête Retry-After (en secondes ou en date HTTP)
+ * @param {Response} response - Réponse HTTP 429
+ * @returns {number|null} Délai en millisecondes, ou null si absent ou illisible
+ */
+const parseRetryAfter = (response) => {
+    const value = response.headers?.get('Retry-After');
+    if (!value) return null;
+    
+    const seconds = Number(value);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+    
+    return Number.isFinite(delay) ? Math.min(Math.max(delay, 0), MAX_RETRY_AFTER) : null;
+};
+
+/**
+ * Vérifie si une erreur est transitoire (réseau, délai dépassé, surcharge serveur)
+ * @param {Error} error - Erreur de la tentative
+ * @returns {boolean} true si une nouvelle tentative a une chance d'aboutir
+ */
+const isRetryable = (error) => {
+    return error instanceof NetworkError || RETRYABLE_STATUSES.has(error.status);
+};
+
+// ===== REQUESTS =====
+
+/**
+ * Effectue une tentative de requête, limitée dans le temps
+ * @param {string} url - URL de la requête
+ * @param {number} timeout - Délai maximal en millisecondes
+ * @param {AbortSignal} signal - Signal d'annulation de l'appelant (optionnel)
+ * @returns {Promise<Object>} Données JSON de la réponse
+ * @throws {NetworkError|ApiError} Erreur typée (voir errors.js), ou AbortError si annulée
+ */
+const attemptRequest = async (url, timeout, signal) => {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    let timedOut = false;
+    
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+    
+    if (signal?.aborted) {
+        onAbort();
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        
+        if (!response.ok) {
+            throw createHttpError(response.status, response.statusText, {
+                retryAfter: response.status === 429 ? parseRetryAfter(response) : null
+            });
+        }
+        
+        return await response.json();
+    } catch (error) {
+        if (timedOut) {
+            throw new TimeoutError(timeout, { cause: error });
+        }
+        // fetch rejette une TypeError en cas d'échec réseau
+        if (error instanceof TypeError) {
+            throw new NetworkError(error.message, { cause: error });
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+};
+
+/**
+ * Effectue une requête JSON avec nouvelles tentatives sur les erreurs transitoires
+ * Les réponses 429 suspendent toutes les requêtes pendant la durée Retry-After
+ * @param {string} url - URL de la requête
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Signal d'annulation (aucune nouvelle tentative une fois annulé)
+ * @param {number} options.timeout - Délai maximal d'une tentative en millisecondes
+ * @param {number} options.retries - Nombre maximal de nouvelles tentatives
+ * @returns {Promise<Object>} Données JSON de la réponse
+ * @throws {NetworkError|ApiError} Dernière erreur rencontrée, ou AbortError si la requête est annulée
+ */
+export const fetchJson = async (url, { signal, timeout = DEFAULT_TIMEOUT, retries = MAX_RETRIES } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        // File d'attente commune tant que l'API nous limite
+        const rateLimitDelay = rateLimitedUntil - Date.now();
+        if (rateLimitDelay > 0) {
+            await wait(rateLimitDelay, signal);
+        }
+        
+        try {
+            return await attemptRequest(url, timeout, signal);
+        } catch (error) {
+            if (isAbortError(error) || attempt >= retries || !isRetryable(error)) {
+                throw error;
+            }
+            
+            if (error.status === 429) {
+                const delay = error.retryAfter ?? getBackoffDelay(attempt);
+                rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + delay);
+            } else {
+                await wait(getBackoffDelay(attempt), signal);
+            }
+        }
+    }
+};
\ No newline at end of file
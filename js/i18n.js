@@ -0,0 +1,195 @@
+// ===== MODULE I18N =====
+// Gère la langue de l'interface, la région de streaming et les traductions
+
+import { messages as fr } from './locales/fr.js';
+import { messages as en } from './locales/en.js';
+
+const STORAGE_KEY = '4films:locale';
+
+// Langues disponibles : catalogue de messages et code langue TMDB
+export const LANGUAGES = {
+    fr: { label: 'Français', tmdb: 'fr-FR', messages: fr },
+    en: { label: 'English', tmdb: 'en-US', messages: en }
+};
+
+// Régions de streaming proposées (codes ISO 3166-1)
+export const REGIONS = ['FR', 'BE', 'CH', 'CA', 'GB', 'US', 'DE', 'ES', 'IT'];
+
+const DEFAULT_LANGUAGE = 'fr';
+const DEFAULT_REGION = 'FR';
+
+let currentLanguage = DEFAULT_LANGUAGE;
+let currentRegion = DEFAULT_REGION;
+const listeners = [];
+
+// ===== PERSISTENCE =====
+
+/**
+ * Détermine les réglages par défaut à partir du navigateur
+ * @returns {Object} { language, region }
+ */
+const detectLocale = () => {
+    const [lang, region] = (navigator.language || '').split('-');
+    
+    return {
+        language: LANGUAGES[lang] ? lang : DEFAULT_LANGUAGE,
+        region: REGIONS.includes(region?.toUpperCase()) ? region.toUpperCase() : DEFAULT_REGION
+    };
+};
+
+/**
+ * Charge les réglages enregistrés (ou détectés)
+ */
+const loadLocale = () => {
+    let stored = null;
+    
+    try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+        stored = null;
+    }
+    
+    const detected = detectLocale();
+    currentLanguage = LANGUAGES[stored?.language] ? stored.language : detected.language;
+    currentRegion = REGIONS.includes(stored?.region) ? stored.region : detected.region;
+};
+
+/**
+ * Enregistre les réglages courants
+ */
+const saveLocale = () => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            language: currentLanguage,
+            region: currentRegion
+        }));
+    } catch (error) {
+        console.warn('Impossible d\'enregistrer les réglages de langue:', error);
+    }
+};
+
+// ===== GETTERS / SETTERS =====
+
+/**
+ * @returns {string} Langue de l'interface ('fr', 'en'...)
+ */
+export const getLanguage = () => currentLanguage;
+
+/**
+ * @returns {string} Code langue à envoyer à TMDB (ex: 'fr-FR')
+ */
+export const getApiLanguage = () => LANGUAGES[currentLanguage].tmdb;
+
+/**
+ * @returns {string} Région de streaming (ex: 'FR')
+ */
+export const getRegion = () => currentRegion;
+
+/**
+ * Change la langue de l'interface
+ * @param {string} language - Code langue ('fr', 'en'...)
+ */
+export const setLanguage = (language) => {
+    if (!LANGUAGES[language] || language === currentLanguage) return;
+    currentLanguage = language;
+    saveLocale();
+    notify('language');
+};
+
+/**
+ * Change la région de streaming
+ * @param {string} region - Code région (ex: 'BE')
+ */
+export const setRegion = (region) => {
+    if (!REGIONS.includes(region) || region === currentRegion) return;
+    currentRegion = region;
+    saveLocale();
+    notify('region');
+};
+
+/**
+ * Abonne une fonction aux changements de langue ou de région
+ * @param {Function} callback - Appelée avec 'language' ou 'region'
+ */
+export const onLocaleChange = (callback) => {
+    listeners.push(callback);
+};
+
+/**
+ * Prévient les abonnés d'un changement
+ * @param {string} type - 'language' ou 'region'
+ */
+const notify = (type) => {
+    listeners.forEach(callback => callback(type));
+};
+
+// ===== TRANSLATION =====
+
+/**
+ * Traduit une clé du catalogue
+ * @param {string} key - Clé du message (ex: 'filters.genre')
+ * @param {Object} params - Valeurs à interpoler ({count} -> params.count)
+ * @returns {string} Message traduit
+ */
+export const t = (key, params = {}) => {
+    const message = LANGUAGES[currentLanguage].messages[key]
+        ?? LANGUAGES[DEFAULT_LANGUAGE].messages[key]
+        ?? key;
+    
+    return message.replace(/\{(\w+)\}/g, (match, name) => (
+        params[name] !== undefined ? params[name] : match
+    ));
+};
+
+/**
+ * Retourne le nom localisé d'une région
+ * @param {string} region - Code région (ex: 'BE')
+ * @returns {string} Nom de la région
+ */
+export const getRegionName = (region) => {
+    try {
+        return new Intl.DisplayNames([currentLanguage], { type: 'region' }).of(region);
+    } catch (error) {
+        return region;
+    }
+};
+
+/**
+ * Lit les valeurs à interpoler d'un élément (attribut data-i18n-params, en JSON)
+ * @param {HTMLElement} element - Élément traduit
+ * @returns {Object} Valeurs ({ count: 4 }...)
+ */
+const getElementParams = (element) => {
+    try {
+        return JSON.parse(element.dataset.i18nParams || '{}');
+    } catch (error) {
+        return {};
+    }
+};
+
+/**
+ * Applique les traductions aux éléments statiques de la page
+ * Attributs gérés : data-i18n (texte), data-i18n-placeholder, data-i18n-aria-label,
+ * data-i18n-params (valeurs à interpoler dans data-i18n, ex: '{"count": 4}')
+ * @param {HTMLElement} root - Élément racine
+ */
+export const applyTranslations = (root = document) => {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n, getElementParams(element));
+    });
+    
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+    
+    if (root === document) {
+        document.documentElement.lang = currentLanguage;
+        document.title = t('app.title');
+    }
+};
+
+loadLocale();
\ No newline at end of file
@@ -0,0 +1,222 @@
+// ===== CATALOGUE ANGLAIS =====
+
+export const messages = {
+    // Page
+    'app.title': '4 Films - Discover Your Personal Movie Top 4',
+    'app.tagline': 'Discover your Top 4',
+    
+    // Réglages
+    'settings.language': 'Language',
+    'settings.region': 'Streaming region',
+    'settings.count': 'Ranking',
+    'settings.countOption': 'Top {count}',
+    'settings.ranking': 'Sort by',
+    
+    // Classements
+    'ranking.rating': 'Top rated',
+    'ranking.weighted': 'Weighted rating',
+    'ranking.popularity': 'Most popular',
+    'ranking.votes': 'Most voted',
+    'ranking.newest': 'Newest',
+    'ranking.revenue': 'Highest grossing',
+    
+    // Modes
+    'mode.filters': 'By filters',
+    'mode.similar': 'Movies like...',
+    'mode.person': 'By person',
+    'mode.surprise': 'Surprise me',
+    
+    // Type de contenu
+    'media.label': 'Content type',
+    'media.movie': 'Movies',
+    'media.tv': 'TV shows',
+    'media.series': 'TV show',
+    
+    // Filtres
+    'filters.country': 'Country',
+    'filters.allCountries': 'All countries',
+    'filters.platforms': 'Platforms',
+    'filters.showAllPlatforms': 'Show all platforms',
+    'filters.showFewerPlatforms': 'Show fewer platforms',
+    'filters.noPlatforms': 'No platform available for this region.',
+    'filters.monetization': 'Access type',
+    'monetization.flatrate': 'Subscription',
+    'monetization.free': 'Free',
+    'monetization.ads': 'With ads',
+    'monetization.rent': 'Rent',
+    'monetization.buy': 'Buy',
+    'filters.actor': 'With (actor, director...)',
+    'filters.actorPlaceholder': 'Tom Hanks, Denis Villeneuve...',
+    'filters.actorMovieOnly': 'The person filter only applies to movies.',
+    'filters.search': 'Find my Top {count}',
+    'filters.noActor': 'No actor found',
+    'autocomplete.loading': 'Searching...',
+    'autocomplete.recent': 'Recent selections',
+    'autocomplete.count': '{count} suggestion(s). Use the up and down arrows to browse, Enter to select.',
+    'filters.keywords': 'Keywords and themes',
+    'filters.keywordsPlaceholder': 'time travel, heist...',
+    'filters.keywordsHint': 'Click a chosen keyword to exclude it, again to include it back.',
+    'filters.noKeyword': 'No keyword found',
+    'filters.removeKeyword': 'Remove {name}',
+    'filters.keywordChip': '{name}: {state}',
+    'filters.keywordState.include': 'included',
+    'filters.keywordState.exclude': 'excluded',
+    'filters.summaryPerson': '{name} ({role})',
+    'filters.summaryWithout': 'without {list}',
+    'filters.genres': 'Genres',
+    'filters.genresHint': 'Click once to include a genre, twice to exclude it.',
+    'filters.genreModeAnd': 'All of them',
+    'filters.genreModeOr': 'Any of them',
+    'filters.genreChip': '{name}: {state}',
+    'filters.genreState.none': 'not selected',
+    'filters.genreState.include': 'included',
+    'filters.genreState.exclude': 'excluded',
+    'filters.decade': 'Decade',
+    'filters.allDecades': 'All decades',
+    'filters.years': 'Years',
+    'filters.from': 'From',
+    'filters.to': 'To',
+    'filters.minRating': 'Minimum rating',
+    'filters.anyRating': 'Any rating',
+    'filters.runtime': 'Runtime (minutes)',
+    'filters.runtimeMin': 'Minimum runtime',
+    'filters.runtimeMax': 'Maximum runtime',
+    'filters.minVotes': 'Minimum vote count',
+    
+    // Pays (langue originale)
+    'country.fr': 'France',
+    'country.en': 'United States',
+    'country.es': 'Spain',
+    'country.it': 'Italy',
+    'country.de': 'Germany',
+    'country.ja': 'Japan',
+    'country.ko': 'South Korea',
+    'country.zh': 'China',
+    'country.hi': 'India',
+    
+    // Films similaires
+    'similar.label': 'Movies similar to...',
+    'similar.placeholder': 'Inception, Interstellar, The Matrix...',
+    'similar.hint': 'Add up to 5 movies: their recommendations will be blended.',
+    'similar.limit': 'You reached the 5 movie limit. Remove one to add another.',
+    'similar.removeSeed': 'Remove {title}',
+    'similar.search': 'Find my Top {count}',
+    'similar.noMovie': 'No movie found',
+    
+    // Filmographie
+    'person.label': 'Filmography of...',
+    'person.placeholder': 'Denis Villeneuve, Hans Zimmer...',
+    'person.roleLabel': 'As',
+    'person.role.acting': 'Actor',
+    'person.role.directing': 'Director',
+    'person.role.writing': 'Writer',
+    'person.role.scoring': 'Composer',
+    'person.hint': 'The role follows the person\'s main job; you can change it.',
+    'person.search': 'See their Top {count}',
+    'person.noPerson': 'No person found',
+    
+    // Métiers (known_for_department)
+    'department.Acting': 'Acting',
+    'department.Directing': 'Directing',
+    'department.Writing': 'Writing',
+    'department.Sound': 'Music',
+    'department.Production': 'Production',
+    'department.Camera': 'Camera',
+    'department.Editing': 'Editing',
+    
+    // Image partagée
+    'share.share': 'Share image',
+    'share.download': 'Download (PNG)',
+    'share.heading': 'My Top {count}',
+    'share.headingRange': 'My ranking: #{from} to #{to}',
+    'share.captionSimilar': 'Like {titles}',
+    'share.captionPerson': '{name} ({role})',
+    'share.footer': '4 Films · data from TMDB',
+    
+    // Surprise
+    'surprise.label': 'Surprise #',
+    'surprise.reroll': 'New draw',
+    'surprise.hint': 'Genre, decade and language are drawn at random among well-rated movies. Same number, same movies for everyone.',
+    'surprise.search': 'Reveal the surprise (Top {count})',
+    'surprise.criteria': 'Surprise #{seed}: {criteria}',
+    'surprise.decade': '{decade}s',
+    'surprise.anyCountry': 'any country',
+    
+    // Carousel
+    'carousel.loading': 'Looking for your Top {count}...',
+    'carousel.placeholder': '🎬 Pick your criteria to discover your Top {count}',
+    'carousel.prev': 'Previous movie',
+    'carousel.next': 'Next movie',
+    'card.noSynopsis': 'No synopsis available.',
+    'card.noYear': 'N/A',
+    'card.seasons': '{count} season(s)',
+    'card.episodes': '{count} episode(s)',
+    
+    // Résultats suivants
+    'results.more': 'Give me another {count}',
+    'results.end': 'You have seen every movie for this search.',
+    'results.exhausted': 'No new movies left for this search. Try other criteria.',
+    'results.label': 'Results',
+    
+    // Affichage des résultats
+    'view.label': 'View',
+    'view.carousel': '3D carousel',
+    'view.grid': 'Grid',
+    'view.list': 'List',
+    
+    // Détails
+    'details.open': 'Details',
+    'details.close': 'Close',
+    'details.loading': 'Loading details...',
+    'details.error': 'Could not load this movie\'s details.',
+    'details.runtime': '{hours} h {minutes} min',
+    'details.director': 'Directed by',
+    'details.createdBy': 'Created by',
+    'details.episodeRuntime': '{runtime} per episode',
+    'details.budget': 'Budget',
+    'details.revenue': 'Box office',
+    'details.cast': 'Top-billed cast',
+    'details.trailer': 'Trailer',
+    
+    // Watchlist
+    'watchlist.title': 'My list',
+    'watchlist.sort': 'Sort by',
+    'watchlist.sortAdded': 'Recently added',
+    'watchlist.sortTitle': 'Title',
+    'watchlist.sortYear': 'Year',
+    'watchlist.sortRating': 'Rating',
+    'watchlist.export': 'Export',
+    'watchlist.import': 'Import',
+    'watchlist.empty': 'Your list is empty. Add movies from the carousel with ☆.',
+    'watchlist.add': 'Add to my list',
+    'watchlist.saved': 'Remove from my list',
+    'watchlist.remove': 'Remove {title} from my list',
+    'watchlist.imported': '{count} movie(s) imported.',
+    'watchlist.importInvalid': 'Invalid file: this is not a 4 Films list export.',
+    'watchlist.importVersion': 'Unsupported file version ({version}).',
+    
+    // Messages
+    'error.init': 'The application failed to load. Please reload the page.',
+    'error.noFilter': 'Please select at least one search criterion.',
+    'error.noResults': 'No movie matches these criteria. Try changing your filters.',
+    'error.fewResults': 'Only {count} movie(s) found with these criteria. Try broadening your search.',
+    'error.noMovieSelected': 'Please pick at least one movie from the suggestions.',
+    'error.noSimilar': 'No similar movie found. Try another movie.',
+    'error.noPersonSelected': 'Please pick a person from the suggestions.',
+    'error.noFilmography': 'No title found for {name} (role: {role}). Try another role.',
+    'error.fewFilmography': 'Only {count} title(s) found in this filmography.',
+    'error.share': 'The image could not be created. Please try again.',
+    'error.noSurprise': 'No movies for this surprise. Try another number.',
+    'error.fewSimilar': 'Only {count} similar movie(s) found.',
+    'error.search': 'Something went wrong during the search. Please try again.',
+    'error.unexpected': 'An unexpected error occurred. Please reload the page.',
+    'error.retry': 'Try again',
+    'error.network': 'Could not reach TMDB. Check your connection and try again.',
+    'error.offline': 'You are offline. The search will resume when the connection is back.',
+    'error.timeout': 'TMDB is taking too long to respond. Try again in a moment.',
+    'error.auth': 'The TMDB access token is invalid or has been revoked. Check TMDB_READ_TOKEN in the proxy configuration.',
+    'error.notFound': 'This content could not be found on TMDB.',
+    'error.rateLimit': 'Too many requests sent to TMDB. Wait a few seconds and try again.',
+    'error.apiServer': 'TMDB is having trouble on its side. Try again in a moment.',
+    'error.server': 'Something went wrong while talking to the server.'
+};
\ No newline at end of file
@@ -0,0 +1,222 @@
+// ===== CATALOGUE FRANÇAIS =====
+
+export const messages = {
+    // Page
+    'app.title': '4 Films - Découvrez votre Top 4 Cinéma Personnel',
+    'app.tagline': 'Découvrez votre Top 4',
+    
+    // Réglages
+    'settings.language': 'Langue',
+    'settings.region': 'Région de streaming',
+    'settings.count': 'Classement',
+    'settings.countOption': 'Top {count}',
+    'settings.ranking': 'Trier par',
+    
+    // Classements
+    'ranking.rating': 'Mieux notés',
+    'ranking.weighted': 'Note pondérée',
+    'ranking.popularity': 'Popularité',
+    'ranking.votes': 'Plus de votes',
+    'ranking.newest': 'Plus récents',
+    'ranking.revenue': 'Meilleures recettes',
+    
+    // Modes
+    'mode.filters': 'Par filtres',
+    'mode.similar': 'Films comme...',
+    'mode.person': 'Par personne',
+    'mode.surprise': 'Surprends-moi',
+    
+    // Type de contenu
+    'media.label': 'Type de contenu',
+    'media.movie': 'Films',
+    'media.tv': 'Séries',
+    'media.series': 'Série',
+    
+    // Filtres
+    'filters.country': 'Pays',
+    'filters.allCountries': 'Tous les pays',
+    'filters.platforms': 'Plateformes',
+    'filters.showAllPlatforms': 'Afficher toutes les plateformes',
+    'filters.showFewerPlatforms': 'Afficher moins de plateformes',
+    'filters.noPlatforms': 'Aucune plateforme disponible pour cette région.',
+    'filters.monetization': 'Type d\'accès',
+    'monetization.flatrate': 'Abonnement',
+    'monetization.free': 'Gratuit',
+    'monetization.ads': 'Avec publicité',
+    'monetization.rent': 'Location',
+    'monetization.buy': 'Achat',
+    'filters.actor': 'Avec (acteur, réalisateur...)',
+    'filters.actorPlaceholder': 'Tom Hanks, Denis Villeneuve...',
+    'filters.actorMovieOnly': 'Le filtre par personne ne s\'applique qu\'aux films.',
+    'filters.search': 'Rechercher mon Top {count}',
+    'filters.noActor': 'Aucun acteur trouvé',
+    'autocomplete.loading': 'Recherche en cours...',
+    'autocomplete.recent': 'Sélections récentes',
+    'autocomplete.count': '{count} suggestion(s). Flèches haut et bas pour parcourir, Entrée pour choisir.',
+    'filters.keywords': 'Mots-clés et thèmes',
+    'filters.keywordsPlaceholder': 'voyage dans le temps, braquage...',
+    'filters.keywordsHint': 'Un clic sur un mot-clé choisi l\'exclut, un second l\'inclut à nouveau.',
+    'filters.noKeyword': 'Aucun mot-clé trouvé',
+    'filters.removeKeyword': 'Retirer {name}',
+    'filters.keywordChip': '{name} : {state}',
+    'filters.keywordState.include': 'inclus',
+    'filters.keywordState.exclude': 'exclu',
+    'filters.summaryPerson': '{name} ({role})',
+    'filters.summaryWithout': 'sans {list}',
+    'filters.genres': 'Genres',
+    'filters.genresHint': 'Un clic pour inclure un genre, un second pour l\'exclure.',
+    'filters.genreModeAnd': 'Tous',
+    'filters.genreModeOr': 'Au moins un',
+    'filters.genreChip': '{name} : {state}',
+    'filters.genreState.none': 'non sélectionné',
+    'filters.genreState.include': 'inclus',
+    'filters.genreState.exclude': 'exclu',
+    'filters.decade': 'Décennie',
+    'filters.allDecades': 'Toutes les décennies',
+    'filters.years': 'Années',
+    'filters.from': 'Depuis',
+    'filters.to': 'Jusqu\'à',
+    'filters.minRating': 'Note minimale',
+    'filters.anyRating': 'Toutes les notes',
+    'filters.runtime': 'Durée (minutes)',
+    'filters.runtimeMin': 'Durée minimale',
+    'filters.runtimeMax': 'Durée maximale',
+    'filters.minVotes': 'Nombre minimum de votes',
+    
+    // Pays (langue originale)
+    'country.fr': 'France',
+    'country.en': 'États-Unis',
+    'country.es': 'Espagne',
+    'country.it': 'Italie',
+    'country.de': 'Allemagne',
+    'country.ja': 'Japon',
+    'country.ko': 'Corée du Sud',
+    'country.zh': 'Chine',
+    'country.hi': 'Inde',
+    
+    // Films similaires
+    'similar.label': 'Films similaires à...',
+    'similar.placeholder': 'Inception, Interstellar, The Matrix...',
+    'similar.hint': 'Ajoutez jusqu\'à 5 films : les recommandations seront mélangées.',
+    'similar.limit': 'Maximum de 5 films atteint. Retirez-en un pour en ajouter un autre.',
+    'similar.removeSeed': 'Retirer {title}',
+    'similar.search': 'Trouver mon Top {count}',
+    'similar.noMovie': 'Aucun film trouvé',
+    
+    // Filmographie
+    'person.label': 'Filmographie de...',
+    'person.placeholder': 'Denis Villeneuve, Hans Zimmer...',
+    'person.roleLabel': 'En tant que',
+    'person.role.acting': 'Acteur',
+    'person.role.directing': 'Réalisation',
+    'person.role.writing': 'Scénario',
+    'person.role.scoring': 'Musique',
+    'person.hint': 'Le rôle est choisi d\'après le métier principal de la personne ; vous pouvez le changer.',
+    'person.search': 'Voir son Top {count}',
+    'person.noPerson': 'Aucune personne trouvée',
+    
+    // Métiers (known_for_department)
+    'department.Acting': 'Acteur',
+    'department.Directing': 'Réalisation',
+    'department.Writing': 'Scénario',
+    'department.Sound': 'Musique',
+    'department.Production': 'Production',
+    'department.Camera': 'Image',
+    'department.Editing': 'Montage',
+    
+    // Image partagée
+    'share.share': 'Partager l\'image',
+    'share.download': 'Télécharger (PNG)',
+    'share.heading': 'Mon Top {count}',
+    'share.headingRange': 'Mon classement : #{from} à #{to}',
+    'share.captionSimilar': 'Comme {titles}',
+    'share.captionPerson': '{name} ({role})',
+    'share.footer': '4 Films · données TMDB',
+    
+    // Surprise
+    'surprise.label': 'Surprise n°',
+    'surprise.reroll': 'Nouveau tirage',
+    'surprise.hint': 'Genre, décennie et langue tirés au sort parmi des films bien notés. Même numéro, mêmes films pour tout le monde.',
+    'surprise.search': 'Découvrir la surprise (Top {count})',
+    'surprise.criteria': 'Surprise n°{seed} : {criteria}',
+    'surprise.decade': 'années {decade}',
+    'surprise.anyCountry': 'tous pays',
+    
+    // Carousel
+    'carousel.loading': 'Recherche de votre Top {count}...',
+    'carousel.placeholder': '🎬 Sélectionnez vos critères pour découvrir votre Top {count}',
+    'carousel.prev': 'Film précédent',
+    'carousel.next': 'Film suivant',
+    'card.noSynopsis': 'Aucun synopsis disponible.',
+    'card.noYear': 'N/A',
+    'card.seasons': '{count} saison(s)',
+    'card.episodes': '{count} épisode(s)',
+    
+    // Résultats suivants
+    'results.more': 'Encore {count}',
+    'results.end': 'Vous avez vu tous les films de cette recherche.',
+    'results.exhausted': 'Plus aucun nouveau film pour cette recherche. Essayez d\'autres critères.',
+    'results.label': 'Résultats',
+    
+    // Affichage des résultats
+    'view.label': 'Affichage',
+    'view.carousel': 'Carrousel 3D',
+    'view.grid': 'Grille',
+    'view.list': 'Liste',
+    
+    // Détails
+    'details.open': 'Détails',
+    'details.close': 'Fermer',
+    'details.loading': 'Chargement des détails...',
+    'details.error': 'Impossible de charger les détails de ce film.',
+    'details.runtime': '{hours} h {minutes} min',
+    'details.director': 'Réalisation',
+    'details.createdBy': 'Création',
+    'details.episodeRuntime': '{runtime} par épisode',
+    'details.budget': 'Budget',
+    'details.revenue': 'Recettes',
+    'details.cast': 'Têtes d\'affiche',
+    'details.trailer': 'Bande-annonce',
+    
+    // Watchlist
+    'watchlist.title': 'Ma liste',
+    'watchlist.sort': 'Trier par',
+    'watchlist.sortAdded': 'Ajout récent',
+    'watchlist.sortTitle': 'Titre',
+    'watchlist.sortYear': 'Année',
+    'watchlist.sortRating': 'Note',
+    'watchlist.export': 'Exporter',
+    'watchlist.import': 'Importer',
+    'watchlist.empty': 'Votre liste est vide. Ajoutez des films depuis le carousel avec ☆.',
+    'watchlist.add': 'Ajouter à ma liste',
+    'watchlist.saved': 'Retirer de ma liste',
+    'watchlist.remove': 'Retirer {title} de ma liste',
+    'watchlist.imported': '{count} film(s) importé(s).',
+    'watchlist.importInvalid': 'Fichier invalide : ce n\'est pas un export de liste 4 Films.',
+    'watchlist.importVersion': 'Version de fichier non prise en charge ({version}).',
+    
+    // Messages
+    'error.init': 'Erreur lors du chargement de l\'application. Veuillez recharger la page.',
+    'error.noFilter': 'Veuillez sélectionner au moins un critère de recherche.',
+    'error.noResults': 'Aucun film trouvé avec ces critères. Essayez de modifier vos filtres.',
+    'error.fewResults': 'Seulement {count} film(s) trouvé(s) avec ces critères. Essayez d\'élargir votre recherche.',
+    'error.noMovieSelected': 'Veuillez sélectionner au moins un film dans les suggestions.',
+    'error.noSimilar': 'Aucun film similaire trouvé. Essayez avec un autre film.',
+    'error.noPersonSelected': 'Veuillez sélectionner une personne dans les suggestions.',
+    'error.noFilmography': 'Aucun titre trouvé pour {name} (rôle : {role}). Essayez un autre rôle.',
+    'error.fewFilmography': 'Seulement {count} titre(s) trouvé(s) dans cette filmographie.',
+    'error.share': 'Impossible de créer l\'image. Veuillez réessayer.',
+    'error.noSurprise': 'Aucun film pour cette surprise. Essayez un autre numéro.',
+    'error.fewSimilar': 'Seulement {count} film(s) similaire(s) trouvé(s).',
+    'error.search': 'Une erreur est survenue lors de la recherche. Veuillez réessayer.',
+    'error.unexpected': 'Une erreur inattendue est survenue. Veuillez recharger la page.',
+    'error.retry': 'Réessayer',
+    'error.network': 'Impossible de joindre TMDB. Vérifiez votre connexion puis réessayez.',
+    'error.offline': 'Vous êtes hors ligne. La recherche reprendra au retour de la connexion.',
+    'error.timeout': 'TMDB met trop de temps à répondre. Réessayez dans un instant.',
+    'error.auth': 'Le jeton d\'accès TMDB est invalide ou a été révoqué. Vérifiez TMDB_READ_TOKEN dans la configuration du proxy.',
+    'error.notFound': 'Ce contenu est introuvable sur TMDB.',
+    'error.rateLimit': 'Trop de requêtes envoyées à TMDB. Patientez quelques secondes puis réessayez.',
+    'error.apiServer': 'TMDB rencontre un problème de son côté. Réessayez dans un instant.',
+    'error.server': 'Une erreur est survenue lors de la communication avec le serveur.'
+};
\ No newline at end of file
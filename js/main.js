@@ -1,13 +1,51 @@
 // ===== MAIN APPLICATION =====
 // Point d'entrée principal de l'application 4 Films
 
-import { discoverMovies, getSimilarMovies } from './api.js';
-import { initCarousel, resetCarousel } from './carousel.js';
-import { initFilters, getFilters, hasActiveFilters, resetFilters } from './filters.js';
-import { initSimilarSearch, getSelectedMovieId, hasSelectedMovie, resetSimilarSearch } from './similar.js';
+import {
+    discoverMoviesPage, getSimilarMoviesPage, getGenres, getMediaType, setMediaType,
+    RESULTS_COUNTS, DEFAULT_RESULTS_COUNT, MEDIA_TYPES, DEFAULT_MEDIA_TYPE
+} from './api.js';
+import { clearCache } from './cache.js';
+import {
+    t, applyTranslations, onLocaleChange, getLanguage, setLanguage,
+    getRegion, setRegion, getRegionName, LANGUAGES, REGIONS
+} from './i18n.js';
+import { createCarousel, RESULTS_VIEWS } from './carousel.js';
+import {
+    initFilters, loadFilterOptions, getFilters, hasActiveFilters, resetFilters, refreshGenres, refreshProviders,
+    refreshKeywords, refreshMediaType, getFilterParams, applyFilterParams, describeFilters
+} from './filters.js';
+import {
+    initSimilarSearch, getSelectedMovieIds, getSelectedMovieTitles, hasSelectedMovie, resetSimilarSearch, refreshSeeds,
+    getSimilarParams, applySimilarParams
+} from './similar.js';
+import {
+    initPersonSearch, getSelectedPerson, getPersonRole, getFilmographyPage, getRoleCreditIds, resetPersonSearch,
+    getPersonParams, applyPersonParams
+} from './person.js';
+import { initWatchlist, renderWatchlist } from './watchlist.js';
+import { initDetails } from './details.js';
+import { createResultSession, blendPages } from './results.js';
+import {
+    RANKINGS, DEFAULT_RANKING, parseRanking, supportsRecommendations, supportsMediaType, createRankedFetcher
+} from './ranking.js';
+import { canShareImage, shareCollage, downloadCollage } from './share.js';
+import { drawSurprise, describeSurprise, parseSeed, createSeed } from './surprise.js';
+import { readUrlState, writeUrlState, clearUrlState, onUrlStateChange } from './url-state.js';
+import { NetworkError, renderError, getErrorMessageKey } from './errors.js';
+
+// Modes de recherche (une section #<mode>-section et un bouton radio #mode-<mode> chacun)
+const MODES = ['filters', 'similar', 'person', 'surprise'];
 
 // ===== STATE =====
-let currentMode = 'filters'; // 'filters' ou 'similar'
+let currentMode = 'filters'; // 'filters', 'similar', 'person' ou 'surprise'
+let resultSession = null; // Session de résultats de la dernière recherche ("Encore N")
+let searchToken = 0; // Incrémenté à chaque recherche : seule la plus récente est affichée
+let resultsCount = DEFAULT_RESULTS_COUNT; // Taille du classement (Top N)
+let ranking = DEFAULT_RANKING; // Classement choisi (voir ranking.js)
+let resultsCarousel = null; // Carousel des résultats
+let failedAction = null; // Dernière action en échec réseau, rejouée au retour de la connexion
+let offlineNotice = false; // Le bloc d'erreur affiche l'avertissement "hors ligne"
 
 // ===== INITIALIZATION =====
 
@@ -18,19 +56,61 @@ const init = async () => {
     console.log('🎬 Initialisation de 4 Films...');
     
     try {
+        // Appliquer la langue et les réglages enregistrés
+        applyTranslations();
+        initSettings();
+        initMediaType();
+        initResultsCount();
+        initRanking();
+        
+        // Initialiser le carousel des résultats
+        resultsCarousel = createCarousel(document.getElementById('carousel-container')).mount();
+        initResultsView();
+        
         // Initialiser les filtres
-        await initFilters();
+        initFilters();
         
         // Initialiser la recherche similaire
         initSimilarSearch();
         
+        // Initialiser le mode filmographie
+        initPersonSearch();
+        
+        // Initialiser la watchlist et la fenêtre de détails
+        initWatchlist();
+        initDetails();
+        
         // Initialiser les event listeners
         initEventListeners();
         
+        // Charger les genres et plateformes, puis restaurer la recherche de l'URL
+        onUrlStateChange(restoreFromUrl);
+        await loadInitialData();
+        
         console.log('✅ Application prête !');
     } catch (error) {
         console.error('❌ Erreur lors de l\'initialisation:', error);
-        showError('Erreur lors du chargement de l\'application. Veuillez recharger la page.');
+        showError(t('error.init'));
+    }
+};
+
+/**
+ * Charge les options des filtres depuis TMDB puis restaure la recherche encodée
+ * dans l'URL (lien partagé, favori). En cas d'échec, l'erreur propose de réessayer.
+ */
+const loadInitialData = async () => {
+    try {
+        await loadFilterOptions();
+    } catch (error) {
+        showAppError(error, loadInitialData, 'error.init');
+        return;
+    }
+    
+    hideError();
+    
+    const urlState = readUrlState();
+    if (urlState) {
+        await restoreFromUrl(urlState);
     }
 };
 
@@ -41,94 +121,604 @@ const init = async () => {
  */
 const initEventListeners = () => {
     // Toggle entre les modes
-    const modeFilters = document.getElementById('mode-filters');
-    const modeSimilar = document.getElementById('mode-similar');
-    
-    modeFilters.addEventListener('change', () => {
-        if (modeFilters.checked) {
-            switchMode('filters');
-        }
-    });
-    
-    modeSimilar.addEventListener('change', () => {
-        if (modeSimilar.checked) {
-            switchMode('similar');
-        }
+    MODES.forEach(mode => {
+        const radio = document.getElementById(`mode-${mode}`);
+        
+        radio.addEventListener('change', () => {
+            if (radio.checked) {
+                switchMode(mode);
+                clearUrlState();
+            }
+        });
     });
     
     // Bouton recherche par filtres
     const searchFiltersBtn = document.getElementById('search-filters');
-    searchFiltersBtn.addEventListener('click', handleFilterSearch);
+    searchFiltersBtn.addEventListener('click', () => handleFilterSearch());
     
     // Bouton recherche films similaires
     const searchSimilarBtn = document.getElementById('search-similar');
-    searchSimilarBtn.addEventListener('click', handleSimilarSearch);
+    searchSimilarBtn.addEventListener('click', () => handleSimilarSearch());
     
-    // Enter key sur les inputs
-    document.getElementById('movie-input').addEventListener('keypress', (e) => {
+    // Bouton filmographie, relancée quand le rôle change
+    document.getElementById('search-person').addEventListener('click', () => handlePersonSearch());
+    document.getElementById('person-role').addEventListener('change', () => {
+        if (currentMode === 'person' && resultSession) {
+            handlePersonSearch();
+        }
+    });
+    
+    // Surprise : le numéro saisi, ou un nouveau tirage
+    document.getElementById('search-surprise').addEventListener('click', () => handleSurpriseSearch());
+    document.getElementById('surprise-reroll').addEventListener('click', () => {
+        document.getElementById('surprise-seed').value = createSeed();
+        handleSurpriseSearch();
+    });
+    document.getElementById('surprise-seed').addEventListener('keydown', (e) => {
         if (e.key === 'Enter') {
+            handleSurpriseSearch();
+        }
+    });
+    
+    // Bouton "Encore N"
+    document.getElementById('more-btn').addEventListener('click', handleMoreResults);
+    
+    // Image du classement : partage natif si disponible, sinon téléchargement seul
+    document.getElementById('share-btn').addEventListener('click', () => handleShare(shareCollage));
+    document.getElementById('download-btn').addEventListener('click', () => handleShare(downloadCollage));
+    
+    // Connexion perdue / rétablie
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('online', handleOnline);
+    
+    // Entrée sur le champ vide lance la recherche (l'autocomplete gère Entrée sur une suggestion)
+    document.getElementById('movie-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.defaultPrevented && !e.target.value.trim() && hasSelectedMovie()) {
             handleSimilarSearch();
         }
     });
 };
 
+// ===== SETTINGS =====
+
+/**
+ * Initialise les sélecteurs de langue et de région
+ */
+const initSettings = () => {
+    const languageSelect = document.getElementById('language-select');
+    const regionSelect = document.getElementById('region-select');
+    
+    Object.entries(LANGUAGES).forEach(([code, language]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = language.label;
+        languageSelect.appendChild(option);
+    });
+    languageSelect.value = getLanguage();
+    
+    populateRegions();
+    
+    languageSelect.addEventListener('change', () => setLanguage(languageSelect.value));
+    regionSelect.addEventListener('change', () => setRegion(regionSelect.value));
+    
+    onLocaleChange(handleLocaleChange);
+};
+
+/**
+ * Remplit le select des régions (noms dans la langue courante)
+ */
+const populateRegions = () => {
+    const regionSelect = document.getElementById('region-select');
+    regionSelect.innerHTML = '';
+    
+    REGIONS.forEach(region => {
+        const option = document.createElement('option');
+        option.value = region;
+        option.textContent = getRegionName(region);
+        regionSelect.appendChild(option);
+    });
+    regionSelect.value = getRegion();
+};
+
+/**
+ * Réagit à un changement de langue ou de région
+ * Les résultats affichés dépendent des deux : on relance la recherche
+ * @param {string} type - 'language' ou 'region'
+ */
+const handleLocaleChange = async (type) => {
+    if (type === 'language') {
+        applyTranslations();
+        populateRegions();
+        populateResultsCounts();
+        populateRankings();
+        renderWatchlist();
+        refreshSeeds();
+        refreshKeywords();
+    }
+    
+    try {
+        if (type === 'language') {
+            await refreshGenres();
+        }
+        
+        // Le catalogue des plateformes dépend de la région (et ses noms de la langue)
+        await refreshProviders();
+    } catch (error) {
+        showAppError(error, () => handleLocaleChange(type));
+        return;
+    }
+    
+    // Relancer la recherche affichée pour la nouvelle langue/région
+    const urlState = readUrlState();
+    if (urlState) {
+        await restoreFromUrl(urlState);
+        return;
+    }
+    
+    resetResults();
+    hideError();
+};
+
+// ===== RESULTS COUNT =====
+
+const RESULTS_COUNT_STORAGE_KEY = '4films:results-count';
+
+/**
+ * Valide une taille de classement (URL, préférence enregistrée)
+ * @param {string|number} value - Valeur à valider
+ * @returns {number|null} Taille proposée dans RESULTS_COUNTS, ou null
+ */
+const parseResultsCount = (value) => {
+    const count = Number(value);
+    return RESULTS_COUNTS.includes(count) ? count : null;
+};
+
+/**
+ * Initialise le sélecteur de taille du classement (Top N)
+ */
+const initResultsCount = () => {
+    const select = document.getElementById('results-count');
+    let stored = null;
+    
+    try {
+        stored = localStorage.getItem(RESULTS_COUNT_STORAGE_KEY);
+    } catch (error) {
+        stored = null;
+    }
+    
+    populateResultsCounts();
+    setResultsCount(parseResultsCount(stored) ?? DEFAULT_RESULTS_COUNT);
+    
+    select.addEventListener('change', handleResultsCountChange);
+};
+
+/**
+ * Remplit le select des tailles de classement (libellés dans la langue courante)
+ */
+const populateResultsCounts = () => {
+    const select = document.getElementById('results-count');
+    select.innerHTML = '';
+    
+    RESULTS_COUNTS.forEach(count => {
+        const option = document.createElement('option');
+        option.value = count;
+        option.textContent = t('settings.countOption', { count });
+        select.appendChild(option);
+    });
+    select.value = resultsCount;
+};
+
+/**
+ * Change la taille du classement et met à jour les libellés "Top N"
+ * @param {number} count - Nombre de films par lot
+ */
+const setResultsCount = (count) => {
+    resultsCount = count;
+    document.getElementById('results-count').value = count;
+    
+    document.querySelectorAll('[data-i18n-params]').forEach(element => {
+        element.dataset.i18nParams = JSON.stringify({ count });
+    });
+    applyTranslations();
+};
+
+/**
+ * Réagit au choix d'une nouvelle taille : enregistre la préférence et relance la recherche affichée
+ */
+const handleResultsCountChange = async () => {
+    const count = parseResultsCount(document.getElementById('results-count').value) ?? DEFAULT_RESULTS_COUNT;
+    setResultsCount(count);
+    
+    try {
+        localStorage.setItem(RESULTS_COUNT_STORAGE_KEY, String(count));
+    } catch (error) {
+        console.warn('Impossible d\'enregistrer la taille du classement:', error);
+    }
+    
+    await rerunSearch();
+};
+
+/**
+ * Paramètre d'URL de la taille du classement (omis pour la taille par défaut)
+ * @returns {string} Taille, ou chaîne vide
+ */
+const getResultsCountParam = () => {
+    return resultsCount === DEFAULT_RESULTS_COUNT ? '' : String(resultsCount);
+};
+
+/**
+ * Relance la recherche affichée après un changement de réglage (taille, classement)
+ */
+const rerunSearch = async () => {
+    if (!resultSession) return;
+    
+    if (currentMode === 'similar') {
+        await handleSimilarSearch();
+    } else if (currentMode === 'person') {
+        await handlePersonSearch();
+    } else if (currentMode === 'surprise') {
+        await handleSurpriseSearch();
+    } else {
+        await handleFilterSearch();
+    }
+};
+
+// ===== RANKING =====
+
+const RANKING_STORAGE_KEY = '4films:ranking';
+
+/**
+ * Initialise le sélecteur de classement (mieux notés, popularité, note pondérée...)
+ */
+const initRanking = () => {
+    let stored = null;
+    
+    try {
+        stored = localStorage.getItem(RANKING_STORAGE_KEY);
+    } catch (error) {
+        stored = null;
+    }
+    
+    ranking = parseRanking(stored) ?? DEFAULT_RANKING;
+    populateRankings();
+    
+    document.getElementById('ranking-select').addEventListener('change', handleRankingChange);
+};
+
+/**
+ * Remplit le select des classements (libellés dans la langue courante)
+ * Les classements que TMDB ne sait pas appliquer aux recommandations sont grisés en mode similaire
+ * (et filmographie, classée localement elle aussi),
+ * ceux propres aux films pour les séries ; une surprise ne dépend d'aucun réglage de classement (même numéro, mêmes films)
+ */
+const populateRankings = () => {
+    const select = document.getElementById('ranking-select');
+    select.innerHTML = '';
+    select.disabled = currentMode === 'surprise';
+    
+    Object.keys(RANKINGS).forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = t(`ranking.${id}`);
+        option.disabled = !isRankingAvailable(id);
+        select.appendChild(option);
+    });
+    select.value = getActiveRanking();
+};
+
+/**
+ * Indique si un classement s'applique au mode et au type de contenu courants
+ * @param {string} rankingId - Identifiant du classement
+ * @returns {boolean} true si le classement est disponible
+ */
+const isRankingAvailable = (rankingId) => {
+    const localOnly = currentMode === 'similar' || currentMode === 'person';
+    return (!localOnly || supportsRecommendations(rankingId))
+        && supportsMediaType(rankingId, getMediaType());
+};
+
+/**
+ * Classement appliqué dans le mode courant (le classement par défaut remplace
+ * un classement indisponible pour les recommandations ou les séries, sans oublier le choix)
+ * @returns {string} Identifiant du classement
+ */
+const getActiveRanking = () => {
+    return isRankingAvailable(ranking) ? ranking : DEFAULT_RANKING;
+};
+
+/**
+ * Réagit au choix d'un classement : enregistre la préférence et relance la recherche affichée
+ */
+const handleRankingChange = async () => {
+    ranking = parseRanking(document.getElementById('ranking-select').value) ?? DEFAULT_RANKING;
+    
+    try {
+        localStorage.setItem(RANKING_STORAGE_KEY, ranking);
+    } catch (error) {
+        console.warn('Impossible d\'enregistrer le classement:', error);
+    }
+    
+    await rerunSearch();
+};
+
+/**
+ * Paramètre d'URL du classement (omis pour le classement par défaut)
+ * @returns {string} Identifiant du classement, ou chaîne vide
+ */
+const getRankingParam = () => {
+    const active = getActiveRanking();
+    return active === DEFAULT_RANKING ? '' : active;
+};
+
+// ===== RESULTS VIEW =====
+
+const RESULTS_VIEW_STORAGE_KEY = '4films:results-view';
+
+/**
+ * Affichage proposé tant que l'utilisateur n'a rien choisi
+ * Pas d'anneau qui tourne pour ceux qui limitent les animations (prefers-reduced-motion)
+ * @returns {string} 'grid' ou 'carousel'
+ */
+const getDefaultResultsView = () => {
+    const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    return reduceMotion ? 'grid' : 'carousel';
+};
+
+/**
+ * Initialise le choix de l'affichage des résultats (carousel 3D, grille, liste)
+ */
+const initResultsView = () => {
+    let stored = null;
+    
+    try {
+        stored = localStorage.getItem(RESULTS_VIEW_STORAGE_KEY);
+    } catch (error) {
+        stored = null;
+    }
+    
+    setResultsView(RESULTS_VIEWS.includes(stored) ? stored : getDefaultResultsView());
+    
+    document.getElementById('view-switcher').addEventListener('change', handleResultsViewChange);
+    
+    // Imprimer la liste compacte, quel que soit l'affichage choisi
+    let viewBeforePrint = null;
+    window.addEventListener('beforeprint', () => {
+        viewBeforePrint = resultsCarousel.getView();
+        resultsCarousel.setView('list');
+    });
+    window.addEventListener('afterprint', () => {
+        if (!viewBeforePrint) return;
+        resultsCarousel.setView(viewBeforePrint);
+        viewBeforePrint = null;
+    });
+};
+
+/**
+ * Applique un affichage aux résultats et au sélecteur
+ * @param {string} view - 'carousel', 'grid' ou 'list'
+ */
+const setResultsView = (view) => {
+    resultsCarousel.setView(view);
+    document.getElementById(`view-${resultsCarousel.getView()}`).checked = true;
+};
+
+/**
+ * Réagit au choix d'un affichage : l'applique et enregistre la préférence
+ * @param {Event} e - Événement change d'un bouton radio
+ */
+const handleResultsViewChange = (e) => {
+    setResultsView(e.target.value);
+    
+    try {
+        localStorage.setItem(RESULTS_VIEW_STORAGE_KEY, resultsCarousel.getView());
+    } catch (error) {
+        console.warn('Impossible d\'enregistrer l\'affichage des résultats:', error);
+    }
+};
+
+// ===== MEDIA TYPE =====
+
+const MEDIA_TYPE_STORAGE_KEY = '4films:media-type';
+
+/**
+ * Initialise le choix films / séries (avant les filtres, qui en dépendent)
+ */
+const initMediaType = () => {
+    let stored = null;
+    
+    try {
+        stored = localStorage.getItem(MEDIA_TYPE_STORAGE_KEY);
+    } catch (error) {
+        stored = null;
+    }
+    
+    setMediaType(MEDIA_TYPES.includes(stored) ? stored : DEFAULT_MEDIA_TYPE);
+    document.getElementById(`media-${getMediaType()}`).checked = true;
+    
+    document.getElementById('media-switcher').addEventListener('change', handleMediaTypeChange);
+};
+
+/**
+ * Passe des films aux séries (ou l'inverse) : genres, plateformes, recommandations
+ * et classements changent avec le type, la recherche en cours est donc abandonnée
+ * @param {string} mediaType - 'movie' ou 'tv'
+ * @returns {Promise<void>}
+ * @throws {AppError} Si le chargement des genres ou des plateformes échoue
+ */
+const applyMediaType = async (mediaType) => {
+    setMediaType(mediaType);
+    document.getElementById(`media-${getMediaType()}`).checked = true;
+    
+    // Les films de référence, filmographies et surprises ne valent que pour un type
+    resetSimilarSearch();
+    resetPersonSearch();
+    resetSurprise();
+    populateRankings();
+    
+    await refreshMediaType();
+};
+
+/**
+ * Réagit au choix films / séries : enregistre la préférence et repart d'une recherche vide
+ * @param {Event} e - Événement change d'un bouton radio
+ */
+const handleMediaTypeChange = async (e) => {
+    try {
+        localStorage.setItem(MEDIA_TYPE_STORAGE_KEY, e.target.value);
+    } catch (error) {
+        console.warn('Impossible d\'enregistrer le type de contenu:', error);
+    }
+    
+    clearUrlState();
+    resetResults();
+    hideError();
+    
+    try {
+        await applyMediaType(e.target.value);
+    } catch (error) {
+        showAppError(error, () => handleMediaTypeChange(e), 'error.init');
+    }
+};
+
+/**
+ * Paramètre d'URL du type de contenu (omis pour les films)
+ * @returns {string} 'tv', ou chaîne vide
+ */
+const getMediaTypeParam = () => {
+    return getMediaType() === DEFAULT_MEDIA_TYPE ? '' : getMediaType();
+};
+
 // ===== MODE SWITCHING =====
 
 /**
  * Change le mode de recherche
- * @param {string} mode - 'filters' ou 'similar'
+ * @param {string} mode - 'filters', 'similar', 'person' ou 'surprise'
  */
 const switchMode = (mode) => {
     currentMode = mode;
+    document.getElementById(`mode-${mode}`).checked = true;
     
-    const filtersSection = document.getElementById('filters-section');
-    const similarSection = document.getElementById('similar-section');
+    MODES.forEach(name => {
+        document.getElementById(`${name}-section`).classList.toggle('active', name === mode);
+    });
     
-    if (mode === 'filters') {
-        filtersSection.classList.add('active');
-        similarSection.classList.remove('active');
-    } else {
-        filtersSection.classList.remove('active');
-        similarSection.classList.add('active');
-    }
+    // Classements disponibles dans ce mode
+    populateRankings();
     
     // Réinitialiser le carousel
-    resetCarousel();
+    resetResults();
     hideError();
 };
 
-// ===== SEARCH HANDLERS =====
+// ===== URL STATE =====
 
 /**
- * Gère la recherche par filtres
+ * Restaure le formulaire depuis l'URL et relance la recherche
+ * @param {Object|null} state - Paramètres lus dans l'URL (null = aucune recherche)
  */
-const handleFilterSearch = async () => {
-    const filters = getFilters();
-    
-    // Vérifier qu'au moins un filtre est sélectionné
-    if (!hasActiveFilters()) {
-        showError('Veuillez sélectionner au moins un critère de recherche.');
+const restoreFromUrl = async (state) => {
+    if (!state) {
+        resetFilters();
+        resetSimilarSearch();
+        resetPersonSearch();
+        resetSurprise();
+        switchMode(currentMode);
         return;
     }
     
+    const mode = MODES.includes(state.mode) ? state.mode : 'filters';
+    const mediaType = MEDIA_TYPES.includes(state.type) ? state.type : DEFAULT_MEDIA_TYPE;
+    
+    // Lien vers des séries (ou retour à des films) : genres et plateformes à recharger
+    if (mediaType !== getMediaType()) {
+        const mediaToken = startSearch();
+        
+        try {
+            await applyMediaType(mediaType);
+        } catch (error) {
+            if (!isStaleSearch(mediaToken)) {
+                showAppError(error, () => restoreFromUrl(state), 'error.init');
+            }
+            return;
+        }
+        
+        // Une navigation plus récente (précédent/suivant) a pris le relais
+        if (isStaleSearch(mediaToken)) return;
+    }
+    
+    ranking = parseRanking(state.sort) ?? DEFAULT_RANKING;
+    switchMode(mode); // Abandonne aussi les recherches en cours
+    setResultsCount(parseResultsCount(state.count) ?? DEFAULT_RESULTS_COUNT);
+    const token = searchToken;
+    
+    if (mode === 'similar') {
+        await applySimilarParams(state);
+        if (isStaleSearch(token)) return;
+        await handleSimilarSearch({ updateHistory: false });
+    } else if (mode === 'person') {
+        applyPersonParams(state);
+        await handlePersonSearch({ updateHistory: false });
+    } else if (mode === 'surprise') {
+        document.getElementById('surprise-seed').value = parseSeed(state.seed) ?? '';
+        await handleSurpriseSearch({ updateHistory: false });
+    } else {
+        await applyFilterParams(state);
+        if (isStaleSearch(token)) return;
+        await handleFilterSearch({ updateHistory: false });
+    }
+};
+
+// ===== SEARCH HANDLERS =====
+
+/**
+ * Démarre une nouvelle recherche : celles encore en cours deviennent obsolètes
+ * (historique, changement de taille, de classement ou de type peuvent se chevaucher)
+ * @returns {number} Jeton de la recherche
+ */
+const startSearch = () => ++searchToken;
+
+/**
+ * Indique si une recherche a été remplacée par une plus récente
+ * @param {number} token - Jeton renvoyé par startSearch
+ * @returns {boolean} true si son résultat doit être ignoré
+ */
+const isStaleSearch = (token) => token !== searchToken;
+
+/**
+ * Lance une recherche et affiche son premier lot (commun à tous les modes)
+ * @param {Function} fetchPage - (page) => Promise<{ results, page, totalPages }>
+ * @param {Object} messages - Messages et reprise propres au mode
+ * @param {Function} messages.empty - () => message si aucun résultat
+ * @param {Function} messages.few - (count) => avertissement si le lot est incomplet
+ * @param {Function} messages.retry - Action rejouée par le bouton "Réessayer"
+ * @returns {Promise<boolean>} true si la recherche a abouti (même sans résultat) et reste la plus récente
+ */
+const runSearch = async (fetchPage, { empty, few, retry }) => {
+    const token = startSearch();
+    
     showLoading();
     hideError();
     
     try {
-        const movies = await discoverMovies(filters);
+        resultSession = createResultSession(fetchPage, resultsCount);
+        const movies = await resultSession.next();
+        if (isStaleSearch(token)) return false;
         
         if (movies.length === 0) {
-            showError('Aucun film trouvé avec ces critères. Essayez de modifier vos filtres.');
+            // Ne pas laisser les films (et boutons) de la recherche précédente
+            resetResults();
+            showError(empty());
             hideLoading();
-            return;
+            return true;
         }
         
-        if (movies.length < 4) {
-            showError(`Seulement ${movies.length} film(s) trouvé(s) avec ces critères. Essayez d'élargir votre recherche.`, 'warning');
+        if (movies.length < resultsCount) {
+            showError(few(movies.length), 'warning');
         }
         
-        await initCarousel(movies);
+        resultsCarousel.update(movies);
         hideLoading();
+        updateMoreButton();
         
         // Scroll automatique vers les résultats
         setTimeout(() => {
@@ -138,58 +728,309 @@ const handleFilterSearch = async () => {
             });
         }, 100);
         
+        return true;
     } catch (error) {
+        if (isStaleSearch(token)) return false;
+        
         console.error('Erreur lors de la recherche:', error);
-        showError('Une erreur est survenue lors de la recherche. Veuillez réessayer.');
+        showAppError(error, retry);
         hideLoading();
+        return false;
     }
 };
 
 /**
- * Gère la recherche de films similaires
+ * Gère la recherche par filtres
+ * @param {Object} options - Options
+ * @param {boolean} options.updateHistory - Ajouter la recherche à l'historique (URL)
  */
-const handleSimilarSearch = async () => {
-    const movieId = getSelectedMovieId();
+const handleFilterSearch = async ({ updateHistory = true } = {}) => {
+    const filters = getFilters();
+    
+    // Vérifier qu'au moins un filtre est sélectionné
+    if (!hasActiveFilters()) {
+        showError(t('error.noFilter'));
+        return;
+    }
+    
+    if (updateHistory) {
+        writeUrlState({
+            mode: 'filters',
+            type: getMediaTypeParam(),
+            ...getFilterParams(),
+            count: getResultsCountParam(),
+            sort: getRankingParam()
+        });
+    }
+    
+    const fetchPage = createRankedFetcher(
+        (page, sortBy) => fetchDiscoverPage(filters, page, sortBy),
+        getActiveRanking()
+    );
+    
+    await runSearch(fetchPage, {
+        empty: () => t('error.noResults'),
+        few: count => t('error.fewResults', { count }),
+        retry: () => handleFilterSearch({ updateHistory: false })
+    });
+};
+
+/**
+ * Gère la recherche de films similaires (un ou plusieurs films de référence)
+ * @param {Object} options - Options
+ * @param {boolean} options.updateHistory - Ajouter la recherche à l'historique (URL)
+ */
+const handleSimilarSearch = async ({ updateHistory = true } = {}) => {
+    const movieIds = getSelectedMovieIds();
     
     if (!hasSelectedMovie()) {
-        showError('Veuillez sélectionner un film dans les suggestions.');
+        showError(t('error.noMovieSelected'));
+        return;
+    }
+    
+    if (updateHistory) {
+        writeUrlState({
+            mode: 'similar',
+            type: getMediaTypeParam(),
+            ...getSimilarParams(),
+            count: getResultsCountParam(),
+            sort: getRankingParam()
+        });
+    }
+    
+    // TMDB ne trie pas les recommandations : le classement est appliqué localement
+    const fetchPage = createRankedFetcher(page => fetchBlendedPage(movieIds, page), getActiveRanking(), {
+        serverSort: false
+    });
+    
+    await runSearch(fetchPage, {
+        empty: () => t('error.noSimilar'),
+        few: count => t('error.fewSimilar', { count }),
+        retry: () => handleSimilarSearch({ updateHistory: false })
+    });
+};
+
+/**
+ * Gère le mode filmographie : Top N des films d'une personne pour un rôle
+ * TMDB renvoie la filmographie en une fois, sans tri : le classement est appliqué localement
+ * @param {Object} options - Options
+ * @param {boolean} options.updateHistory - Ajouter la recherche à l'historique (URL)
+ */
+const handlePersonSearch = async ({ updateHistory = true } = {}) => {
+    const person = getSelectedPerson();
+    const role = getPersonRole();
+    
+    if (!person) {
+        showError(t('error.noPersonSelected'));
         return;
     }
     
+    if (updateHistory) {
+        writeUrlState({
+            mode: 'person',
+            type: getMediaTypeParam(),
+            ...getPersonParams(),
+            count: getResultsCountParam(),
+            sort: getRankingParam()
+        });
+    }
+    
+    const fetchPage = createRankedFetcher(() => getFilmographyPage(person.id, role), getActiveRanking(), {
+        serverSort: false
+    });
+    
+    await runSearch(fetchPage, {
+        empty: () => t('error.noFilmography', { name: person.name, role: t(`person.role.${role}`) }),
+        few: count => t('error.fewFilmography', { count }),
+        retry: () => handlePersonSearch({ updateHistory: false })
+    });
+};
+
+/**
+ * Vide le numéro de surprise et la description du dernier tirage
+ */
+const resetSurprise = () => {
+    document.getElementById('surprise-seed').value = '';
+    document.getElementById('surprise-criteria').textContent = '';
+};
+
+/**
+ * Gère le mode surprise : tire (ou rejoue) un Top N à partir d'un numéro
+ * Sans numéro valide saisi, un nouveau numéro est tiré et affiché
+ * @param {Object} options - Options
+ * @param {boolean} options.updateHistory - Ajouter la recherche à l'historique (URL)
+ */
+const handleSurpriseSearch = async ({ updateHistory = true } = {}) => {
+    const seedInput = document.getElementById('surprise-seed');
+    const criteriaNote = document.getElementById('surprise-criteria');
+    const seed = parseSeed(seedInput.value) ?? createSeed();
+    seedInput.value = seed;
+    
+    if (updateHistory) {
+        writeUrlState({ mode: 'surprise', type: getMediaTypeParam(), seed, count: getResultsCountParam() });
+    }
+    
+    criteriaNote.textContent = '';
+    let description = '';
+    
+    // Le tirage est figé : une seule page, la session ne propose pas d'autres films
+    const fetchPage = async () => {
+        const { movies, criteria } = await drawSurprise(seed, resultsCount);
+        description = describeSurprise(criteria, await getGenres());
+        return { results: movies, page: 1, totalPages: 1 };
+    };
+    
+    const shown = await runSearch(fetchPage, {
+        empty: () => t('error.noSurprise'),
+        few: count => t('error.fewResults', { count }),
+        retry: () => handleSurpriseSearch({ updateHistory: false })
+    });
+    
+    if (shown) {
+        criteriaNote.textContent = t('surprise.criteria', { seed, criteria: description });
+    }
+};
+
+/**
+ * Récupère une page de découverte pour les filtres
+ * with_crew retient tous les postes de l'équipe : pour un rôle choisi (réalisation, scénario, musique),
+ * seuls les films où la personne a tenu ce rôle sont gardés
+ * @param {Object} filters - Filtres (voir getFilters)
+ * @param {number} page - Numéro de page TMDB
+ * @param {string} sortBy - Tri TMDB
+ * @returns {Promise<Object>} Page { results, page, totalPages }
+ */
+const fetchDiscoverPage = async (filters, page, sortBy) => {
+    const data = await discoverMoviesPage(filters, page, { sortBy });
+    if (!filters.crew) return data;
+    
+    const creditIds = await getRoleCreditIds(filters.crew, filters.actorRole);
+    return { ...data, results: data.results.filter(movie => creditIds.has(movie.id)) };
+};
+
+/**
+ * Récupère et fusionne une page de recommandations pour chaque film de référence
+ * @param {Array<number>} movieIds - IDs des films de référence
+ * @param {number} page - Numéro de page TMDB
+ * @returns {Promise<Object>} Page fusionnée { results, page, totalPages }
+ */
+const fetchBlendedPage = async (movieIds, page) => {
+    const pages = await Promise.all(movieIds.map(movieId => getSimilarMoviesPage(movieId, page)));
+    return blendPages(pages, movieIds);
+};
+
+/**
+ * Affiche les N films suivants de la recherche courante
+ */
+const handleMoreResults = async () => {
+    if (!resultSession) return;
+    
+    const token = searchToken;
+    
     showLoading();
     hideError();
     
     try {
-        const movies = await getSimilarMovies(movieId);
+        const movies = await resultSession.next();
+        if (isStaleSearch(token)) return;
         
         if (movies.length === 0) {
-            showError('Aucun film similaire trouvé. Essayez avec un autre film.');
+            showError(t('results.exhausted'), 'warning');
+            updateMoreButton();
             hideLoading();
             return;
         }
         
-        if (movies.length < 4) {
-            showError(`Seulement ${movies.length} film(s) similaire(s) trouvé(s).`, 'warning');
-        }
-        
-        await initCarousel(movies);
+        // Continuer le classement (#5, #6... pour un Top 4)
+        const startRank = resultSession.getShownCount() - movies.length + 1;
+        resultsCarousel.update(movies, { startRank });
         hideLoading();
-        
-        // Scroll automatique vers les résultats
-        setTimeout(() => {
-            document.querySelector('.carousel-section').scrollIntoView({ 
-                behavior: 'smooth',
-                block: 'center'
-            });
-        }, 100);
-        
+        updateMoreButton();
     } catch (error) {
-        console.error('Erreur lors de la recherche de films similaires:', error);
-        showError('Une erreur est survenue lors de la recherche. Veuillez réessayer.');
+        if (isStaleSearch(token)) return;
+        
+        console.error('Erreur lors du chargement des résultats suivants:', error);
+        showAppError(error, handleMoreResults);
         hideLoading();
     }
 };
 
+// ===== RESULTS =====
+
+/**
+ * Affiche le bouton "Encore N" ou la fin des résultats, et les boutons de l'image partagée
+ */
+const updateMoreButton = () => {
+    const moreBtn = document.getElementById('more-btn');
+    const endNote = document.getElementById('results-end');
+    const hasMore = resultSession !== null && resultSession.hasMore();
+    const hasResults = resultsCarousel.getMovies().length > 0;
+    
+    moreBtn.classList.toggle('hidden', !hasMore);
+    endNote.classList.toggle('hidden', resultSession === null || hasMore);
+    document.getElementById('share-btn').classList.toggle('hidden', !hasResults || !canShareImage());
+    document.getElementById('download-btn').classList.toggle('hidden', !hasResults);
+};
+
+// ===== SHARE =====
+
+/**
+ * Décrit la recherche affichée (légende de l'image partagée)
+ * @returns {string} Filtres, films de référence, personne ou critères de la surprise
+ */
+const describeSearch = () => {
+    if (currentMode === 'similar') {
+        return t('share.captionSimilar', { titles: getSelectedMovieTitles().join(', ') });
+    }
+    if (currentMode === 'person') {
+        const person = getSelectedPerson();
+        return person ? t('share.captionPerson', { name: person.name, role: t(`person.role.${getPersonRole()}`) }) : '';
+    }
+    if (currentMode === 'surprise') {
+        return document.getElementById('surprise-criteria').textContent;
+    }
+    return describeFilters();
+};
+
+/**
+ * Crée l'image des films affichés puis la partage ou la télécharge
+ * @param {Function} exportCollage - shareCollage ou downloadCollage
+ */
+const handleShare = async (exportCollage) => {
+    const movies = resultsCarousel.getMovies();
+    if (movies.length === 0) return;
+    
+    const buttons = [document.getElementById('share-btn'), document.getElementById('download-btn')];
+    buttons.forEach(button => {
+        button.disabled = true;
+    });
+    
+    try {
+        await exportCollage(movies, {
+            startRank: resultsCarousel.getStartRank(),
+            caption: describeSearch()
+        });
+    } catch (error) {
+        console.error('Erreur lors de l\'export de l\'image:', error);
+        showError(t('error.share'));
+    } finally {
+        buttons.forEach(button => {
+            button.disabled = false;
+        });
+    }
+};
+
+/**
+ * Réinitialise le carousel et la session de résultats (la recherche en cours est abandonnée)
+ */
+const resetResults = () => {
+    startSearch();
+    hideLoading();
+    resultSession = null;
+    resultsCarousel.update([]);
+    updateMoreButton();
+};
+
 // ===== UI HELPERS =====
 
 /**
@@ -222,6 +1063,39 @@ const hideLoading = () => {
 const showError = (message, type = 'error') => {
     const errorElement = document.getElementById('error-message');
     errorElement.textContent = message;
+    offlineNotice = false;
+    revealError(type);
+};
+
+/**
+ * Affiche le message propre à une erreur typée, avec un bouton "Réessayer"
+ * Une erreur réseau est aussi rejouée automatiquement au retour de la connexion
+ * @param {Error} error - Erreur survenue
+ * @param {Function} retry - Action à rejouer
+ * @param {string} fallbackKey - Message des erreurs non typées
+ */
+const showAppError = (error, retry, fallbackKey = 'error.search') => {
+    const errorElement = document.getElementById('error-message');
+    
+    renderError(errorElement, error, {
+        onRetry: () => {
+            hideError();
+            retry();
+        },
+        fallbackKey
+    });
+    offlineNotice = false;
+    revealError('error');
+    
+    failedAction = error instanceof NetworkError ? retry : null;
+};
+
+/**
+ * Rend visible le bloc d'erreur avec le style correspondant
+ * @param {string} type - 'error' ou 'warning'
+ */
+const revealError = (type) => {
+    const errorElement = document.getElementById('error-message');
     errorElement.classList.remove('hidden');
     
     if (type === 'warning') {
@@ -241,6 +1115,36 @@ const showError = (message, type = 'error') => {
 const hideError = () => {
     const errorElement = document.getElementById('error-message');
     errorElement.classList.add('hidden');
+    failedAction = null;
+    offlineNotice = false;
+};
+
+// ===== CONNECTIVITY =====
+
+/**
+ * Signale la perte de connexion
+ * L'action en échec éventuelle est conservée pour être rejouée au retour du réseau
+ */
+const handleOffline = () => {
+    const errorElement = document.getElementById('error-message');
+    errorElement.textContent = t('error.offline');
+    offlineNotice = true;
+    revealError('warning');
+};
+
+/**
+ * Retire l'avertissement hors ligne et rejoue la dernière action en échec réseau
+ */
+const handleOnline = () => {
+    const action = failedAction;
+    
+    if (action || offlineNotice) {
+        hideError();
+    }
+    
+    if (action) {
+        action();
+    }
 };
 
 // ===== ERROR HANDLING =====
@@ -250,7 +1154,7 @@ const hideError = () => {
  */
 window.addEventListener('error', (event) => {
     console.error('Erreur globale:', event.error);
-    showError('Une erreur inattendue est survenue. Veuillez recharger la page.');
+    showError(t('error.unexpected'));
 });
 
 /**
@@ -258,7 +1162,7 @@ window.addEventListener('error', (event) => {
  */
 window.addEventListener('unhandledrejection', (event) => {
     console.error('Promise rejetée non gérée:', event.reason);
-    showError('Une erreur est survenue lors de la communication avec le serveur.');
+    showError(t(getErrorMessageKey(event.reason, 'error.server')));
 });
 
 // ===== START APPLICATION =====
@@ -274,11 +1178,16 @@ if (document.readyState === 'loading') {
 window.debugApp = {
     currentMode: () => currentMode,
     filters: getFilters,
-    selectedMovie: getSelectedMovieId,
+    selectedMovies: getSelectedMovieIds,
+    resultsCount: () => resultsCount,
+    carousel: () => resultsCarousel,
+    clearCache,
     resetAll: () => {
         resetFilters();
         resetSimilarSearch();
-        resetCarousel();
+        resetSurprise();
+        resetResults();
         hideError();
+        clearUrlState();
     }
 };
\ No newline at end of file
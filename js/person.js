@@ -0,0 +1,216 @@
+// ===== MODULE PERSON =====
+// Mode filmographie : le Top N d'une personne (acteur, réalisateur, scénariste, compositeur)
+
+import { searchPerson, getPersonCredits, getImageUrl, DEFAULT_MIN_VOTES, IMAGE_SIZES } from './api.js';
+import { t } from './i18n.js';
+import { html } from './dom.js';
+import { createAutocomplete, highlightMatch } from './autocomplete.js';
+
+// Rôles proposés : liste de crédits TMDB concernée et postes retenus
+export const PERSON_ROLES = {
+    acting: { credits: 'cast', matches: () => true },
+    directing: { credits: 'crew', matches: credit => credit.job === 'Director' },
+    writing: { credits: 'crew', matches: credit => credit.department === 'Writing' },
+    scoring: { credits: 'crew', matches: credit => credit.job === 'Original Music Composer' || credit.job === 'Music' }
+};
+
+export const DEFAULT_PERSON_ROLE = 'acting';
+
+// Rôle présélectionné selon le métier principal de la personne (known_for_department)
+const DEPARTMENT_ROLES = {
+    Acting: 'acting',
+    Directing: 'directing',
+    Writing: 'writing',
+    Sound: 'scoring'
+};
+
+// Métiers traduits (les autres sont affichés tels que TMDB les renvoie)
+const DEPARTMENTS = ['Acting', 'Directing', 'Writing', 'Sound', 'Production', 'Camera', 'Editing'];
+
+let selectedPerson = null; // { id, name }
+let personAutocomplete = null;
+
+// ===== HELPERS =====
+
+/**
+ * Valide un rôle (URL, bouton radio)
+ * @param {string} value - Valeur à valider
+ * @returns {string|null} Rôle connu, ou null
+ */
+export const parsePersonRole = (value) => {
+    return Object.hasOwn(PERSON_ROLES, value ?? '') ? value : null;
+};
+
+/**
+ * Rôle présélectionné pour une personne, d'après son métier principal
+ * @param {string} department - Département TMDB (known_for_department)
+ * @returns {string} Rôle ('acting' par défaut)
+ */
+export const getSuggestedRole = (department) => {
+    return DEPARTMENT_ROLES[department] ?? DEFAULT_PERSON_ROLE;
+};
+
+/**
+ * Libellé du métier principal d'une personne
+ * @param {string} department - Département TMDB (ex: 'Directing')
+ * @returns {string} Métier traduit, ou tel quel s'il est inconnu
+ */
+export const getDepartmentLabel = (department) => {
+    return DEPARTMENTS.includes(department) ? t(`department.${department}`) : department || '';
+};
+
+// ===== INITIALIZATION =====
+
+/**
+ * Initialise l'autocomplete du mode filmographie
+ */
+export const initPersonSearch = () => {
+    personAutocomplete = createAutocomplete({
+        input: document.getElementById('person-input'),
+        listbox: document.getElementById('person-suggestions'),
+        search: searchPerson,
+        renderItem: renderPersonSuggestion,
+        getLabel: person => person.name,
+        emptyKey: 'person.noPerson',
+        recentKey: 'people',
+        toRecent: (person) => ({
+            id: person.id,
+            name: person.name,
+            profile_path: person.profile_path || null,
+            known_for_department: person.known_for_department || ''
+        }),
+        onSelect: (person) => {
+            selectedPerson = { id: person.id, name: person.name };
+            setRoleChoice('person-role', getSuggestedRole(person.known_for_department));
+        },
+        onClear: () => {
+            selectedPerson = null;
+        }
+    });
+};
+
+/**
+ * Crée le contenu d'une suggestion de personne (photo, nom, métier)
+ * @param {Object} person - Personne TMDB
+ * @param {string} query - Recherche saisie (mise en évidence)
+ * @returns {SafeHTML} HTML de la suggestion (échappé)
+ */
+const renderPersonSuggestion = (person, query) => {
+    const profileUrl = person.profile_path
+        ? getImageUrl(person.profile_path, IMAGE_SIZES.PROFILE_SMALL)
+        : 'https://via.placeholder.com/40x60?text=?';
+    const department = getDepartmentLabel(person.known_for_department);
+    
+    return html`
+        <img src="${profileUrl}" alt="">
+        <div class="suggestion-info">
+            <div class="suggestion-name">${highlightMatch(person.name, query)}</div>
+            ${department ? html`<div class="suggestion-meta">${department}</div>` : ''}
+        </div>
+    `;
+};
+
+// ===== ROLE =====
+
+/**
+ * Lit un sélecteur de rôle (boutons radio <name>-<rôle>, ex: person-role-directing)
+ * Partagé avec le filtre par personne du mode filtres (actor-role)
+ * @param {string} name - Nom du groupe de boutons radio
+ * @returns {string} Rôle choisi ('acting', 'directing', 'writing' ou 'scoring')
+ */
+export const getRoleChoice = (name) => {
+    return parsePersonRole(document.querySelector(`input[name="${name}"]:checked`)?.value) ?? DEFAULT_PERSON_ROLE;
+};
+
+/**
+ * Coche un rôle dans un sélecteur de rôle
+ * @param {string} name - Nom du groupe de boutons radio
+ * @param {string} role - Rôle à cocher (le rôle par défaut s'il est inconnu)
+ */
+export const setRoleChoice = (name, role) => {
+    document.getElementById(`${name}-${parsePersonRole(role) ?? DEFAULT_PERSON_ROLE}`).checked = true;
+};
+
+/**
+ * @returns {string} Rôle choisi en mode filmographie
+ */
+export const getPersonRole = () => getRoleChoice('person-role');
+
+// ===== FILMOGRAPHY =====
+
+/**
+ * Récupère les films d'une personne pour un rôle (un film par entrée, films trop confidentiels exclus)
+ * Le classement est appliqué ensuite (voir ranking.js)
+ * @param {number} personId - ID de la personne
+ * @param {string} role - Rôle ('acting', 'directing'...)
+ * @returns {Promise<Object>} Page unique { results, page, totalPages }
+ */
+export const getFilmographyPage = async (personId, role) => {
+    const { credits, matches } = PERSON_ROLES[role] ?? PERSON_ROLES[DEFAULT_PERSON_ROLE];
+    const all = (await getPersonCredits(personId))[credits];
+    
+    const movies = [...new Map(all
+        .filter(credit => matches(credit) && credit.vote_count >= DEFAULT_MIN_VOTES)
+        .map(credit => [credit.id, credit])).values()];
+    
+    return { results: movies, page: 1, totalPages: 1 };
+};
+
+/**
+ * Films où une personne a tenu un rôle (tous, sans seuil de votes)
+ * @param {number} personId - ID de la personne
+ * @param {string} role - Rôle ('acting', 'directing'...)
+ * @returns {Promise<Set<number>>} IDs des films
+ */
+export const getRoleCreditIds = async (personId, role) => {
+    const { credits, matches } = PERSON_ROLES[role] ?? PERSON_ROLES[DEFAULT_PERSON_ROLE];
+    const all = (await getPersonCredits(personId))[credits];
+    
+    return new Set(all.filter(matches).map(credit => credit.id));
+};
+
+// ===== GETTERS =====
+
+/**
+ * @returns {Object|null} Personne choisie ({ id, name })
+ */
+export const getSelectedPerson = () => selectedPerson;
+
+/**
+ * Réinitialise la personne et le rôle
+ */
+export const resetPersonSearch = () => {
+    personAutocomplete.clear();
+    selectedPerson = null;
+    setRoleChoice('person-role', DEFAULT_PERSON_ROLE);
+};
+
+// ===== URL STATE =====
+
+/**
+ * Exporte la personne et le rôle sous forme de paramètres d'URL
+ * @returns {Object} Paramètres (chaînes)
+ */
+export const getPersonParams = () => {
+    return {
+        person: selectedPerson?.id ?? '',
+        personName: selectedPerson?.name ?? '',
+        role: getPersonRole() === DEFAULT_PERSON_ROLE ? '' : getPersonRole()
+    };
+};
+
+/**
+ * Restaure la personne et le rôle depuis des paramètres d'URL
+ * @param {Object} params - Paramètres lus dans l'URL
+ */
+export const applyPersonParams = (params) => {
+    resetPersonSearch();
+    
+    const id = Number(params.person);
+    if (Number.isInteger(id) && id > 0) {
+        selectedPerson = { id, name: params.personName || `#${id}` };
+        personAutocomplete.setSelection(selectedPerson);
+    }
+    
+    setRoleChoice('person-role', params.role);
+};
\ No newline at end of file
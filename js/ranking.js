@@ -0,0 +1,150 @@
+// ===== MODULE RANKING =====
+// Stratégies de classement des résultats : tri par TMDB (discover) ou calcul local sur un lot de pages
+
+const POOL_PAGES = 5; // Pages TMDB regroupées puis reclassées ensemble (classement local)
+
+/**
+ * Date de sortie en millisecondes (0 si inconnue)
+ * @param {Object} movie - Film
+ * @returns {number} Timestamp
+ */
+const getReleaseTime = (movie) => {
+    return Date.parse(movie.release_date) || 0;
+};
+
+// Classements proposés
+// sortBy : tri TMDB (discover) ; poolSortBy : tri des pages d'un classement local
+// score : note locale (recommandations, ou toujours si local) ; sans score, indisponible pour les recommandations
+// movieOnly : critère que TMDB ne connaît pas pour les séries
+export const RANKINGS = {
+    rating: { sortBy: 'vote_average.desc', score: movie => movie.vote_average },
+    weighted: { local: true, poolSortBy: 'vote_count.desc' },
+    popularity: { sortBy: 'popularity.desc', score: movie => movie.popularity },
+    votes: { sortBy: 'vote_count.desc', score: movie => movie.vote_count },
+    newest: { sortBy: 'primary_release_date.desc', score: getReleaseTime },
+    revenue: { sortBy: 'revenue.desc', movieOnly: true }
+};
+
+export const DEFAULT_RANKING = 'rating';
+
+// ===== HELPERS =====
+
+/**
+ * Valide un identifiant de classement (URL, préférence enregistrée)
+ * @param {string} value - Valeur à valider
+ * @returns {string|null} Identifiant connu, ou null
+ */
+export const parseRanking = (value) => {
+    return Object.hasOwn(RANKINGS, value ?? '') ? value : null;
+};
+
+/**
+ * Indique si un classement peut s'appliquer aux recommandations (films similaires)
+ * TMDB ne trie pas les recommandations : il faut une note calculable depuis les résultats
+ * @param {string} rankingId - Identifiant du classement
+ * @returns {boolean} true si le classement est disponible
+ */
+export const supportsRecommendations = (rankingId) => {
+    const ranking = RANKINGS[rankingId];
+    return Boolean(ranking?.local || ranking?.score);
+};
+
+/**
+ * Indique si un classement s'applique à un type de contenu (les séries n'ont pas de recettes)
+ * @param {string} rankingId - Identifiant du classement
+ * @param {string} mediaType - 'movie' ou 'tv'
+ * @returns {boolean} true si le classement est disponible
+ */
+export const supportsMediaType = (rankingId, mediaType) => {
+    return mediaType === 'movie' || !RANKINGS[rankingId]?.movieOnly;
+};
+
+/**
+ * Calcule la médiane d'une liste de nombres
+ * @param {Array<number>} values - Valeurs
+ * @returns {number} Médiane (0 pour une liste vide)
+ */
+const getMedian = (values) => {
+    if (values.length === 0) return 0;
+    
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// ===== WEIGHTED RATING =====
+
+/**
+ * Crée la note pondérée (bayésienne, façon IMDb) d'un lot de films
+ * WR = (v × R + m × C) / (v + m), avec R la note du film et v son nombre de votes.
+ * C est la note moyenne du lot et m le nombre de votes médian : un film peu noté
+ * est ramené vers la moyenne, un classique très noté garde sa propre note.
+ * @param {Array} movies - Films du lot
+ * @returns {Function} (movie) => note pondérée
+ */
+const createWeightedScore = (movies) => {
+    const totalVotes = movies.reduce((sum, movie) => sum + movie.vote_count, 0);
+    const meanRating = totalVotes > 0
+        ? movies.reduce((sum, movie) => sum + movie.vote_average * movie.vote_count, 0) / totalVotes
+        : 0;
+    const minVotes = Math.max(getMedian(movies.map(movie => movie.vote_count)), 1);
+    
+    return (movie) => (
+        (movie.vote_count * movie.vote_average + minVotes * meanRating) / (movie.vote_count + minVotes)
+    );
+};
+
+// ===== RANKING =====
+
+/**
+ * Classe des films selon une stratégie (sans doublons)
+ * @param {Array} movies - Films à classer
+ * @param {string} rankingId - Identifiant du classement
+ * @returns {Array} Films classés (ordre d'origine conservé à égalité)
+ */
+const rankMovies = (movies, rankingId) => {
+    const ranking = RANKINGS[rankingId] ?? RANKINGS[DEFAULT_RANKING];
+    const unique = [...new Map(movies.map(movie => [movie.id, movie])).values()];
+    const score = ranking.local ? createWeightedScore(unique) : ranking.score;
+    
+    if (!score) return unique;
+    
+    const scores = new Map(unique.map(movie => [movie.id, score(movie)]));
+    return unique.sort((a, b) => scores.get(b.id) - scores.get(a.id));
+};
+
+/**
+ * Adapte la récupération des pages d'une recherche à un classement (pour createResultSession)
+ * Tri TMDB : chaque page est demandée déjà triée. Classement local (note pondérée, ou
+ * recommandations que TMDB ne trie pas) : chaque page regroupe POOL_PAGES pages de la source,
+ * reclassées ensemble.
+ * @param {Function} fetchPage - (page, sortBy) => Promise<{ results, page, totalPages }>
+ * @param {string} rankingId - Identifiant du classement
+ * @param {Object} options - Options
+ * @param {boolean} options.serverSort - La source sait trier (sort_by de discover)
+ * @returns {Function} (page) => Promise<{ results, page, totalPages }>
+ */
+export const createRankedFetcher = (fetchPage, rankingId, { serverSort = true } = {}) => {
+    const id = serverSort || supportsRecommendations(rankingId) ? rankingId : DEFAULT_RANKING;
+    const ranking = RANKINGS[id] ?? RANKINGS[DEFAULT_RANKING];
+    
+    if (serverSort && !ranking.local) {
+        return (page) => fetchPage(page, ranking.sortBy);
+    }
+    
+    return async (page) => {
+        const firstPage = (page - 1) * POOL_PAGES + 1;
+        const first = await fetchPage(firstPage, ranking.poolSortBy);
+        const lastPage = Math.min(firstPage + POOL_PAGES - 1, first.totalPages);
+        
+        const others = await Promise.all(
+            Array.from({ length: Math.max(lastPage - firstPage, 0) }, (_, i) => fetchPage(firstPage + i + 1, ranking.poolSortBy))
+        );
+        
+        return {
+            results: rankMovies([first, ...others].flatMap(data => data.results), id),
+            page,
+            totalPages: Math.ceil(first.totalPages / POOL_PAGES)
+        };
+    };
+};
\ No newline at end of file
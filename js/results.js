@@ -0,0 +1,101 @@
+// ===== MODULE RESULTS =====
+// Parcourt les résultats d'une recherche par lots ("Encore N")
+
+import { DEFAULT_RESULTS_COUNT } from './api.js';
+
+const MAX_PAGES_PER_BATCH = 5; // Limite les requêtes si les pages ne contiennent que des doublons
+const BLEND_RANK_OFFSET = 10; // Atténue l'écart entre les premiers rangs (fusion par rang réciproque)
+
+/**
+ * Crée une session de résultats paginés
+ * Les films déjà montrés dans la session ne sont jamais proposés à nouveau
+ * @param {Function} fetchPage - (page) => Promise<{ results, page, totalPages }>
+ * @param {number} batchSize - Nombre de films par lot
+ * @returns {Object} Session { next, hasMore, getShownCount }
+ */
+export const createResultSession = (fetchPage, batchSize = DEFAULT_RESULTS_COUNT) => {
+    const seenIds = new Set();
+    const buffer = [];
+    let nextPage = 1;
+    let totalPages = Infinity;
+    let shownCount = 0;
+    
+    /**
+     * Charge des pages jusqu'à avoir un lot complet (ou plus de pages)
+     */
+    const fill = async () => {
+        let fetchedPages = 0;
+        
+        while (buffer.length < batchSize && nextPage <= totalPages && fetchedPages < MAX_PAGES_PER_BATCH) {
+            const data = await fetchPage(nextPage);
+            totalPages = data.totalPages;
+            nextPage++;
+            fetchedPages++;
+            
+            data.results.forEach(movie => {
+                if (!seenIds.has(movie.id)) {
+                    seenIds.add(movie.id);
+                    buffer.push(movie);
+                }
+            });
+        }
+    };
+    
+    return {
+        /**
+         * Retourne le lot suivant
+         * @returns {Promise<Array>} Films (tableau vide si épuisé)
+         */
+        next: async () => {
+            await fill();
+            const batch = buffer.splice(0, batchSize);
+            shownCount += batch.length;
+            return batch;
+        },
+        
+        /**
+         * @returns {boolean} true s'il reste des films ou des pages à parcourir
+         */
+        hasMore: () => buffer.length > 0 || nextPage <= totalPages,
+        
+        /**
+         * @returns {number} Nombre de films déjà montrés (pour continuer le classement)
+         */
+        getShownCount: () => shownCount
+    };
+};
+
+// ===== BLENDING =====
+
+/**
+ * Fusionne plusieurs pages de recommandations en une seule
+ * Chaque film marque 1 / (BLEND_RANK_OFFSET + rang) par liste où il apparaît :
+ * un film recommandé par plusieurs films de référence, ou bien classé, passe devant
+ * @param {Array<Object>} pages - Pages { results, page, totalPages } (une par film de référence)
+ * @param {Array<number>} excludedIds - Films à écarter (les films de référence eux-mêmes)
+ * @returns {Object} Page fusionnée { results, page, totalPages }
+ */
+export const blendPages = (pages, excludedIds = []) => {
+    const excluded = new Set(excludedIds);
+    const scores = new Map();
+    
+    pages.forEach(({ results }) => {
+        results.forEach((movie, rank) => {
+            if (excluded.has(movie.id)) return;
+            
+            const entry = scores.get(movie.id) || { movie, score: 0 };
+            entry.score += 1 / (BLEND_RANK_OFFSET + rank);
+            scores.set(movie.id, entry);
+        });
+    });
+    
+    const results = [...scores.values()]
+        .sort((a, b) => b.score - a.score)
+        .map(entry => entry.movie);
+    
+    return {
+        results,
+        page: Math.max(0, ...pages.map(data => data.page)),
+        totalPages: Math.max(0, ...pages.map(data => data.totalPages))
+    };
+};
\ No newline at end of file
@@ -0,0 +1,322 @@
+// ===== MODULE SHARE =====
+// Exporte le classement affiché en image : collage des affiches, rangs, titres et notes
+
+import { getCanvasImageUrl, IMAGE_SIZES } from './api.js';
+import { t } from './i18n.js';
+
+// Dimensions du collage (px)
+const POSTER_WIDTH = 300;
+const POSTER_HEIGHT = 450;
+const GAP = 32;
+const PADDING = 48;
+const HEADER_HEIGHT = 150;
+const LABEL_HEIGHT = 84; // Titre et note sous chaque affiche
+const FOOTER_HEIGHT = 48;
+const MAX_COLUMNS = 5;
+const MIN_WIDTH = 1080; // Un Top 3 (ou moins) reste lisible, affiches centrées
+const IMAGE_TIMEOUT = 8000; // Une affiche trop lente est remplacée par son titre (ms)
+
+// Couleurs reprises de style.css et carousel.css (.card-rank)
+const COLORS = {
+    background: ['#1a1a1a', '#0a0a0a'],
+    poster: '#2d2d2d',
+    text: '#e5e5e5',
+    muted: '#a0a0a0',
+    accent: '#A78BFA'
+};
+const RANK_COLORS = {
+    1: { from: '#FFD700', to: '#FFA500', text: '#ffffff' },
+    2: { from: '#C0C0C0', to: '#A8A8A8', text: '#2D3748' },
+    3: { from: '#CD7F32', to: '#B87333', text: '#ffffff' },
+    next: { from: '#718096', to: '#4A5568', text: '#ffffff' }
+};
+
+// ===== IMAGES =====
+
+/**
+ * Charge une affiche pour le canvas
+ * Servie par le proxy sur la même origine (voir CANVAS_IMAGE_BASE_URL) ; demandée en CORS (crossOrigin)
+ * si elle vient d'ailleurs : une image refusée échoue au lieu de bloquer l'export du canvas
+ * @param {string|null} posterPath - Chemin TMDB de l'affiche
+ * @returns {Promise<HTMLImageElement|null>} Image chargée, ou null (absente, en échec ou trop lente)
+ */
+const loadPoster = (posterPath) => {
+    if (!posterPath) return Promise.resolve(null);
+    
+    return new Promise(resolve => {
+        const image = new Image();
+        const timer = setTimeout(() => resolve(null), IMAGE_TIMEOUT);
+        const done = (result) => {
+            clearTimeout(timer);
+            resolve(result);
+        };
+        
+        image.crossOrigin = 'anonymous';
+        image.addEventListener('load', () => done(image), { once: true });
+        image.addEventListener('error', () => done(null), { once: true });
+        image.src = getCanvasImageUrl(posterPath, IMAGE_SIZES.POSTER_MEDIUM);
+    });
+};
+
+// ===== DRAWING =====
+
+/**
+ * Tronque un texte avec des points de suspension pour tenir dans une largeur
+ * @param {CanvasRenderingContext2D} ctx - Contexte (police déjà choisie)
+ * @param {string} text - Texte à afficher
+ * @param {number} maxWidth - Largeur disponible (px)
+ * @returns {string} Texte, tronqué si nécessaire
+ */
+const fitText = (ctx, text, maxWidth) => {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    
+    const chars = [...text];
+    while (chars.length > 0 && ctx.measureText(`${chars.join('')}…`).width > maxWidth) {
+        chars.pop();
+    }
+    return `${chars.join('').trimEnd()}…`;
+};
+
+/**
+ * Dessine une affiche (ou, à défaut, un cadre avec le titre)
+ * @param {CanvasRenderingContext2D} ctx - Contexte
+ * @param {HTMLImageElement|null} image - Affiche chargée
+ * @param {Object} movie - Film
+ * @param {number} x - Abscisse du coin supérieur gauche
+ * @param {number} y - Ordonnée du coin supérieur gauche
+ */
+const drawPoster = (ctx, image, movie, x, y) => {
+    ctx.fillStyle = COLORS.poster;
+    ctx.fillRect(x, y, POSTER_WIDTH, POSTER_HEIGHT);
+    
+    if (image) {
+        ctx.drawImage(image, x, y, POSTER_WIDTH, POSTER_HEIGHT);
+        return;
+    }
+    
+    ctx.fillStyle = COLORS.muted;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `600 24px ${getFontFamily()}`;
+    ctx.fillText(fitText(ctx, movie.title, POSTER_WIDTH - 32), x + POSTER_WIDTH / 2, y + POSTER_HEIGHT / 2);
+};
+
+/**
+ * Dessine le badge de rang (couleurs de .card-rank)
+ * @param {CanvasRenderingContext2D} ctx - Contexte
+ * @param {number} rank - Position dans le classement
+ * @param {number} x - Abscisse du coin de l'affiche
+ * @param {number} y - Ordonnée du coin de l'affiche
+ */
+const drawRank = (ctx, rank, x, y) => {
+    const colors = RANK_COLORS[rank] ?? RANK_COLORS.next;
+    const radius = 30;
+    const centerX = x + 16 + radius;
+    const centerY = y + 16 + radius;
+    
+    const gradient = ctx.createLinearGradient(centerX - radius, centerY - radius, centerX + radius, centerY + radius);
+    gradient.addColorStop(0, colors.from);
+    gradient.addColorStop(1, colors.to);
+    
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+    ctx.fillStyle = gradient;
+    ctx.fill();
+    
+    ctx.fillStyle = colors.text;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `700 ${rank < 10 ? 26 : 22}px ${getFontFamily()}`;
+    ctx.fillText(`#${rank}`, centerX, centerY + 1);
+};
+
+/**
+ * Dessine le titre, la note et l'année sous une affiche
+ * @param {CanvasRenderingContext2D} ctx - Contexte
+ * @param {Object} movie - Film
+ * @param {number} x - Abscisse de l'affiche
+ * @param {number} y - Ordonnée du bas de l'affiche
+ */
+const drawLabel = (ctx, movie, x, y) => {
+    const year = movie.release_date ? movie.release_date.split('-')[0] : t('card.noYear');
+    
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    
+    ctx.fillStyle = COLORS.text;
+    ctx.font = `600 22px ${getFontFamily()}`;
+    ctx.fillText(fitText(ctx, movie.title, POSTER_WIDTH), x, y + 14);
+    
+    ctx.fillStyle = COLORS.muted;
+    ctx.font = `400 19px ${getFontFamily()}`;
+    ctx.fillText(`⭐ ${movie.vote_average.toFixed(1)} · ${year}`, x, y + 48);
+};
+
+/**
+ * Police de l'application (celle de la page, pour un rendu identique)
+ * @returns {string} Famille de polices CSS
+ */
+const getFontFamily = () => {
+    return getComputedStyle(document.body).fontFamily || 'sans-serif';
+};
+
+// ===== COLLAGE =====
+
+/**
+ * Dessine le collage d'un classement sur un canvas
+ * Jusqu'à 5 affiches par ligne (un Top 8 ou 10 tient sur deux lignes)
+ * @param {Array} movies - Films affichés, dans l'ordre du classement
+ * @param {Object} options - Options
+ * @param {number} options.startRank - Rang du premier film
+ * @param {string} options.caption - Description de la recherche (filtres, films de référence...)
+ * @returns {Promise<HTMLCanvasElement>} Canvas dessiné
+ */
+export const createCollage = async (movies, { startRank = 1, caption = '' } = {}) => {
+    const columns = movies.length <= MAX_COLUMNS ? movies.length : Math.ceil(movies.length / 2);
+    const rows = Math.ceil(movies.length / columns);
+    
+    const gridWidth = columns * POSTER_WIDTH + (columns - 1) * GAP;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(gridWidth + PADDING * 2, MIN_WIDTH);
+    canvas.height = HEADER_HEIGHT + rows * (POSTER_HEIGHT + LABEL_HEIGHT) + (rows - 1) * GAP + FOOTER_HEIGHT;
+    
+    const ctx = canvas.getContext('2d');
+    const images = await Promise.all(movies.map(movie => loadPoster(movie.poster_path)));
+    
+    // Fond
+    const background = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
+    background.addColorStop(0, COLORS.background[0]);
+    background.addColorStop(1, COLORS.background[1]);
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    // En-tête : "Mon Top N" et la recherche
+    const lastRank = startRank + movies.length - 1;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = COLORS.accent;
+    ctx.font = `700 48px ${getFontFamily()}`;
+    ctx.fillText(
+        startRank === 1 ? t('share.heading', { count: movies.length }) : t('share.headingRange', { from: startRank, to: lastRank }),
+        PADDING,
+        PADDING
+    );
+    
+    if (caption) {
+        ctx.fillStyle = COLORS.muted;
+        ctx.font = `400 24px ${getFontFamily()}`;
+        ctx.fillText(fitText(ctx, caption, canvas.width - PADDING * 2), PADDING, PADDING + 64);
+    }
+    
+    // Affiches
+    movies.forEach((movie, index) => {
+        const x = (canvas.width - gridWidth) / 2 + (index % columns) * (POSTER_WIDTH + GAP);
+        const y = HEADER_HEIGHT + Math.floor(index / columns) * (POSTER_HEIGHT + LABEL_HEIGHT + GAP);
+        
+        drawPoster(ctx, images[index], movie, x, y);
+        drawRank(ctx, startRank + index, x, y);
+        drawLabel(ctx, movie, x, y + POSTER_HEIGHT);
+    });
+    
+    // Pied : application et source des données
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = COLORS.muted;
+    ctx.font = `400 16px ${getFontFamily()}`;
+    ctx.fillText(t('share.footer'), canvas.width - PADDING, canvas.height - 20);
+    
+    return canvas;
+};
+
+/**
+ * Convertit un canvas en image PNG
+ * @param {HTMLCanvasElement} canvas - Canvas dessiné
+ * @returns {Promise<Blob>} Image PNG
+ * @throws {Error} Si la conversion échoue
+ */
+const toPngBlob = (canvas) => {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Export PNG impossible'))), 'image/png');
+    });
+};
+
+// ===== EXPORT =====
+
+/**
+ * Nom du fichier exporté (ex: 4films-top4-2024-05-12.png)
+ * @param {number} count - Nombre de films
+ * @returns {string} Nom de fichier
+ */
+const getFileName = (count) => {
+    return `4films-top${count}-${new Date().toISOString().slice(0, 10)}.png`;
+};
+
+/**
+ * Indique si le navigateur sait partager une image (Web Share API avec fichiers)
+ * @returns {boolean} true si le partage natif est disponible
+ */
+export const canShareImage = () => {
+    if (typeof navigator.share !== 'function' || typeof navigator.canShare !== 'function') return false;
+    
+    try {
+        return navigator.canShare({ files: [new File([], 'top.png', { type: 'image/png' })] });
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Lance le téléchargement d'une image
+ * @param {Blob} blob - Image PNG
+ * @param {string} fileName - Nom du fichier
+ */
+const saveBlob = (blob, fileName) => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    
+    // Libérer l'URL une fois le téléchargement lancé
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+};
+
+/**
+ * Télécharge le collage d'un classement en PNG
+ * @param {Array} movies - Films affichés
+ * @param {Object} options - Options de createCollage ({ startRank, caption })
+ * @returns {Promise<void>}
+ */
+export const downloadCollage = async (movies, options = {}) => {
+    const blob = await toPngBlob(await createCollage(movies, options));
+    saveBlob(blob, getFileName(movies.length));
+};
+
+/**
+ * Partage le collage d'un classement (feuille de partage du système)
+ * Une annulation par l'utilisateur n'est pas une erreur. Si le chargement des affiches a duré
+ * plus longtemps que l'activation du clic, le navigateur refuse le partage (NotAllowedError) :
+ * l'image est alors téléchargée
+ * @param {Array} movies - Films affichés
+ * @param {Object} options - Options de createCollage ({ startRank, caption })
+ * @returns {Promise<void>}
+ * @throws {Error} Si le partage échoue
+ */
+export const shareCollage = async (movies, options = {}) => {
+    const blob = await toPngBlob(await createCollage(movies, options));
+    const file = new File([blob], getFileName(movies.length), { type: 'image/png' });
+    
+    try {
+        await navigator.share({
+            files: [file],
+            title: t('share.heading', { count: movies.length }),
+            text: options.caption || ''
+        });
+    } catch (error) {
+        if (error.name === 'NotAllowedError') {
+            saveBlob(blob, file.name);
+        } else if (error.name !== 'AbortError') {
+            throw error;
+        }
+    }
+};
\ No newline at end of file
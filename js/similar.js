@@ -1,10 +1,15 @@
 // ===== MODULE SIMILAR MOVIES =====
 // Gère la recherche de films similaires
 
-import { searchMovie, getImageUrl, IMAGE_SIZES } from './api.js';
+import { searchMovie, getMovieDetails, getImageUrl, getMediaType, IMAGE_SIZES } from './api.js';
+import { t } from './i18n.js';
+import { html } from './dom.js';
+import { createAutocomplete, highlightMatch } from './autocomplete.js';
 
-let selectedMovieId = null;
-let movieDebounceTimer = null;
+export const MAX_SEEDS = 5;
+
+let selectedMovies = []; // Films de référence [{ id, title }]
+let movieAutocomplete = null;
 
 // ===== INITIALIZATION =====
 
@@ -12,115 +17,198 @@ let movieDebounceTimer = null;
  * Initialise l'autocomplete pour la recherche de films
  */
 export const initSimilarSearch = () => {
-    const input = document.getElementById('movie-input');
-    const suggestionsContainer = document.getElementById('movie-suggestions');
-    
-    input.addEventListener('input', (e) => {
-        const query = e.target.value.trim();
-        
-        // Clear previous timer
-        if (movieDebounceTimer) {
-            clearTimeout(movieDebounceTimer);
-        }
-        
-        // Debounce pour éviter trop de requêtes
-        movieDebounceTimer = setTimeout(async () => {
-            if (query.length >= 2) {
-                const results = await searchMovie(query);
-                displayMovieSuggestions(results, suggestionsContainer, input);
-            } else {
-                suggestionsContainer.classList.remove('show');
-                suggestionsContainer.innerHTML = '';
-            }
-        }, 300);
-    });
-    
-    // Fermer les suggestions si click ailleurs
-    document.addEventListener('click', (e) => {
-        if (!input.contains(e.target) && !suggestionsContainer.contains(e.target)) {
-            suggestionsContainer.classList.remove('show');
-        }
+    movieAutocomplete = createAutocomplete({
+        input: document.getElementById('movie-input'),
+        listbox: document.getElementById('movie-suggestions'),
+        search: searchMovie,
+        renderItem: renderMovieSuggestion,
+        getLabel: movie => movie.title,
+        emptyKey: 'similar.noMovie',
+        // Historique distinct pour les séries (leurs IDs ne désignent pas des films)
+        recentKey: () => (getMediaType() === 'tv' ? 'series' : 'movies'),
+        toRecent: (movie) => ({
+            id: movie.id,
+            title: movie.title,
+            poster_path: movie.poster_path || null,
+            release_date: movie.release_date || '',
+            vote_average: movie.vote_average || 0
+        }),
+        onSelect: addSeed,
+        clearOnSelect: true
     });
 };
 
 // ===== SUGGESTIONS =====
 
 /**
- * Affiche les suggestions de films
- * @param {Array} movies - Liste de films
- * @param {HTMLElement} container - Conteneur des suggestions
- * @param {HTMLInputElement} input - Input de recherche
+ * Crée le contenu d'une suggestion de film
+ * @param {Object} movie - Film TMDB
+ * @param {string} query - Recherche saisie (mise en évidence)
+ * @returns {SafeHTML} HTML de la suggestion (échappé)
  */
-const displayMovieSuggestions = (movies, container, input) => {
-    container.innerHTML = '';
+const renderMovieSuggestion = (movie, query) => {
+    // Poster du film
+    const posterUrl = movie.poster_path 
+        ? getImageUrl(movie.poster_path, IMAGE_SIZES.POSTER_SMALL)
+        : 'https://via.placeholder.com/40x60?text=?';
     
-    if (movies.length === 0) {
-        container.innerHTML = '<div class="no-suggestions">Aucun film trouvé</div>';
-        container.classList.add('show');
+    // Année de sortie
+    const year = movie.release_date 
+        ? movie.release_date.split('-')[0]
+        : t('card.noYear');
+    
+    // Note
+    const rating = movie.vote_average 
+        ? `⭐ ${movie.vote_average.toFixed(1)}`
+        : '';
+    
+    return html`
+        <img src="${posterUrl}" alt="">
+        <div class="suggestion-info">
+            <div class="suggestion-name">${highlightMatch(movie.title, query)}</div>
+            <div class="suggestion-meta">${year} ${rating}</div>
+        </div>
+    `;
+};
+
+// ===== SEEDS =====
+
+/**
+ * Ajoute un film de référence (ignoré s'il est déjà présent ou si la limite est atteinte)
+ * @param {Object} movie - Film ({ id, title })
+ */
+const addSeed = (movie) => {
+    if (selectedMovies.some(seed => seed.id === movie.id) || selectedMovies.length >= MAX_SEEDS) {
         return;
     }
     
-    movies.forEach(movie => {
-        const suggestionItem = document.createElement('div');
-        suggestionItem.className = 'suggestion-item';
-        
-        // Poster du film
-        const posterUrl = movie.poster_path 
-            ? getImageUrl(movie.poster_path, IMAGE_SIZES.POSTER_SMALL)
-            : 'https://via.placeholder.com/40x60?text=?';
-        
-        // Année de sortie
-        const year = movie.release_date 
-            ? movie.release_date.split('-')[0]
-            : 'N/A';
-        
-        // Note
-        const rating = movie.vote_average 
-            ? `⭐ ${movie.vote_average.toFixed(1)}`
-            : '';
+    selectedMovies.push({ id: movie.id, title: movie.title });
+    renderSeedChips();
+};
+
+/**
+ * Retire un film de référence
+ * @param {number} movieId - ID du film
+ */
+const removeSeed = (movieId) => {
+    selectedMovies = selectedMovies.filter(seed => seed.id !== movieId);
+    renderSeedChips();
+};
+
+/**
+ * Affiche les films de référence sous forme de chips supprimables
+ */
+const renderSeedChips = () => {
+    const container = document.getElementById('seed-chips');
+    const input = document.getElementById('movie-input');
+    container.innerHTML = '';
+    
+    selectedMovies.forEach(seed => {
+        const chip = document.createElement('span');
+        chip.className = 'chip seed-chip';
         
-        suggestionItem.innerHTML = `
-            <img src="${posterUrl}" alt="${movie.title}">
-            <div class="suggestion-info">
-                <div class="suggestion-name">${movie.title}</div>
-                <div class="suggestion-meta">${year} ${rating}</div>
-            </div>
-        `;
+        const label = document.createElement('span');
+        label.textContent = seed.title;
         
-        suggestionItem.addEventListener('click', () => {
-            input.value = movie.title;
-            selectedMovieId = movie.id;
-            container.classList.remove('show');
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'seed-remove';
+        removeBtn.textContent = '✕';
+        removeBtn.setAttribute('aria-label', t('similar.removeSeed', { title: seed.title }));
+        removeBtn.addEventListener('click', () => {
+            removeSeed(seed.id);
+            input.focus();
         });
         
-        container.appendChild(suggestionItem);
+        chip.append(label, removeBtn);
+        container.appendChild(chip);
     });
     
-    container.classList.add('show');
+    // Limite atteinte : plus de nouvelle saisie
+    const isFull = selectedMovies.length >= MAX_SEEDS;
+    input.disabled = isFull;
+    document.getElementById('seed-limit').classList.toggle('hidden', !isFull);
+};
+
+/**
+ * Met à jour les libellés des chips (changement de langue)
+ */
+export const refreshSeeds = () => {
+    renderSeedChips();
 };
 
 // ===== GETTERS =====
 
 /**
- * Récupère l'ID du film sélectionné
- * @returns {number|null} ID du film ou null
+ * Récupère les IDs des films de référence
+ * @returns {Array<number>} IDs (dans l'ordre de sélection)
+ */
+export const getSelectedMovieIds = () => {
+    return selectedMovies.map(seed => seed.id);
+};
+
+/**
+ * Récupère les titres des films de référence
+ * @returns {Array<string>} Titres (dans l'ordre de sélection)
  */
-export const getSelectedMovieId = () => {
-    return selectedMovieId;
+export const getSelectedMovieTitles = () => {
+    return selectedMovies.map(seed => seed.title);
 };
 
 /**
  * Réinitialise la sélection
  */
 export const resetSimilarSearch = () => {
-    document.getElementById('movie-input').value = '';
-    selectedMovieId = null;
+    movieAutocomplete.clear();
+    selectedMovies = [];
+    renderSeedChips();
 };
 
 /**
- * Vérifie si un film est sélectionné
+ * Vérifie si au moins un film est sélectionné
  * @returns {boolean} true si un film est sélectionné
  */
 export const hasSelectedMovie = () => {
-    return selectedMovieId !== null;
+    return selectedMovies.length > 0;
+};
+
+// ===== URL STATE =====
+
+/**
+ * Exporte les films de référence sous forme de paramètres d'URL
+ * Les titres ne sont pas encodés : ils sont relus depuis TMDB (dans la bonne langue)
+ * @returns {Object} Paramètres (chaînes) décrivant les films de référence
+ */
+export const getSimilarParams = () => {
+    return {
+        movies: getSelectedMovieIds().join(',')
+    };
+};
+
+/**
+ * Restaure les films de référence depuis des paramètres d'URL (titres relus depuis TMDB)
+ * @param {Object} params - Paramètres lus dans l'URL
+ * @returns {Promise<void>}
+ */
+export const applySimilarParams = async (params) => {
+    resetSimilarSearch();
+    
+    const ids = [...new Set((params.movies || '')
+        .split(',')
+        .map(Number)
+        .filter(id => Number.isInteger(id) && id > 0))]
+        .slice(0, MAX_SEEDS);
+    
+    const seeds = await Promise.all(ids.map(async (id) => {
+        try {
+            const movie = await getMovieDetails(id);
+            return { id, title: movie.title };
+        } catch (error) {
+            console.error('Erreur lors de la récupération du film de référence:', error);
+            return { id, title: `#${id}` };
+        }
+    }));
+    
+    selectedMovies = seeds;
+    renderSeedChips();
 };
\ No newline at end of file
@@ -0,0 +1,138 @@
+// ===== MODULE SURPRISE =====
+// Top N tiré au sort parmi des films de qualité, rejouable à partir de son numéro (graine)
+
+import { discoverMovies, getGenres } from './api.js';
+import { t } from './i18n.js';
+
+export const MAX_SEED = 99999;
+
+const MAX_DRAWS = 4; // Combinaisons tirées avant d'élargir les critères
+const MAX_PAGE = 3; // Pages TMDB tirées au sort (les suivantes baissent en qualité)
+const MIN_RATING = 6.5;
+const MIN_VOTES = 300;
+
+const DECADES = [1960, 1970, 1980, 1990, 2000, 2010, 2020];
+// null : toutes les langues (plus probable qu'une langue précise)
+const LANGUAGES = [null, null, null, 'en', 'fr', 'es', 'it', 'de', 'ja', 'ko', 'zh', 'hi'];
+const SORTS = ['vote_average.desc', 'popularity.desc', 'vote_count.desc'];
+
+// ===== SEED =====
+
+/**
+ * Valide un numéro de surprise (saisie, URL)
+ * @param {string|number} value - Valeur à valider
+ * @returns {number|null} Entier entre 1 et MAX_SEED, ou null
+ */
+export const parseSeed = (value) => {
+    const seed = Number(value);
+    return Number.isInteger(seed) && seed >= 1 && seed <= MAX_SEED ? seed : null;
+};
+
+/**
+ * Tire un nouveau numéro de surprise
+ * @returns {number} Entier entre 1 et MAX_SEED
+ */
+export const createSeed = () => {
+    return 1 + Math.floor(Math.random() * MAX_SEED);
+};
+
+/**
+ * Générateur pseudo-aléatoire déterministe (mulberry32)
+ * La même graine donne la même suite de nombres, sur tous les navigateurs
+ * @param {number} seed - Graine
+ * @returns {Function} () => nombre dans [0, 1)
+ */
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Choisit un élément d'une liste
+ * @param {Array} items - Liste non vide
+ * @param {Function} random - Générateur (voir createRandom)
+ * @returns {*} Élément choisi
+ */
+const pick = (items, random) => {
+    return items[Math.floor(random() * items.length)];
+};
+
+// ===== DRAW =====
+
+/**
+ * Tire une combinaison de critères
+ * @param {Array<number>} genreIds - IDs des genres (triés : même ordre dans toutes les langues)
+ * @param {Function} random - Générateur
+ * @returns {Object} { genre, decade, language, page, sortBy }
+ */
+const drawCriteria = (genreIds, random) => ({
+    genre: pick(genreIds, random),
+    decade: pick(DECADES, random),
+    language: pick(LANGUAGES, random),
+    page: 1 + Math.floor(random() * MAX_PAGE),
+    sortBy: pick(SORTS, random)
+});
+
+/**
+ * Convertit une combinaison en filtres de discoverMovies (avec les planchers de qualité)
+ * @param {Object} criteria - Combinaison tirée
+ * @returns {Object} Filtres de recherche
+ */
+const toFilters = ({ genre, decade, language }) => ({
+    genres: [genre],
+    yearFrom: decade ?? '',
+    yearTo: decade ? decade + 9 : '',
+    country: language ?? '',
+    minRating: MIN_RATING,
+    minVotes: MIN_VOTES
+});
+
+/**
+ * Tire une surprise : même numéro, mêmes critères et donc mêmes films pour tout le monde
+ * Les combinaisons trop étroites sont retirées, puis les critères élargis (genre seul, première page).
+ * @param {number} seed - Numéro de la surprise
+ * @param {number} count - Taille du classement
+ * @returns {Promise<Object>} { movies, criteria } (movies peut compter moins de count films)
+ * @throws {AppError} Si une requête échoue
+ */
+export const drawSurprise = async (seed, count) => {
+    const random = createRandom(seed);
+    const genreIds = (await getGenres()).map(genre => genre.id).sort((a, b) => a - b);
+    
+    for (let draw = 0; draw < MAX_DRAWS; draw++) {
+        const criteria = drawCriteria(genreIds, random);
+        const movies = await discoverMovies(toFilters(criteria), count, { page: criteria.page, sortBy: criteria.sortBy });
+        
+        if (movies.length >= count) {
+            return { movies, criteria };
+        }
+    }
+    
+    // Dernier recours : le genre tiré, sans décennie ni langue
+    const criteria = { ...drawCriteria(genreIds, random), decade: null, language: null, page: 1 };
+    const movies = await discoverMovies(toFilters(criteria), count, { sortBy: criteria.sortBy });
+    return { movies, criteria };
+};
+
+/**
+ * Décrit les critères d'une surprise (ex: "Drame · années 1990 · Japon")
+ * @param {Object} criteria - Combinaison tirée
+ * @param {Array} genres - Genres dans la langue courante
+ * @returns {string} Description traduite
+ */
+export const describeSurprise = (criteria, genres) => {
+    const genre = genres.find(entry => entry.id === criteria.genre);
+    
+    return [
+        genre?.name,
+        criteria.decade && t('surprise.decade', { decade: criteria.decade }),
+        criteria.language ? t(`country.${criteria.language}`) : t('surprise.anyCountry')
+    ].filter(Boolean).join(' · ');
+};
\ No newline at end of file
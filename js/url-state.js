@@ -0,0 +1,77 @@
+// ===== MODULE URL STATE =====
+// Encode la recherche courante dans l'URL (partage, favoris, historique)
+
+// ===== READ / WRITE =====
+
+/**
+ * Lit l'état de recherche encodé dans l'URL courante
+ * @returns {Object|null} Paramètres ({ mode, genre, ... }) ou null si aucune recherche
+ */
+export const readUrlState = () => {
+    const params = new URLSearchParams(window.location.search);
+    
+    if (!params.has('mode')) {
+        return null;
+    }
+    
+    return Object.fromEntries(params.entries());
+};
+
+/**
+ * Construit l'URL correspondant à un état de recherche
+ * @param {Object} state - Paramètres à encoder (les valeurs vides sont ignorées)
+ * @returns {string} URL relative (chemin + query)
+ */
+const buildStateUrl = (state) => {
+    const params = new URLSearchParams();
+    
+    Object.entries(state).forEach(([key, value]) => {
+        if (value !== null && value !== undefined && value !== '') {
+            params.append(key, value);
+        }
+    });
+    
+    const query = params.toString();
+    return query ? `${window.location.pathname}?${query}` : window.location.pathname;
+};
+
+/**
+ * Enregistre un état de recherche dans l'historique du navigateur
+ * @param {Object} state - Paramètres à encoder
+ * @param {Object} options - Options
+ * @param {boolean} options.replace - Remplacer l'entrée courante au lieu d'en ajouter une
+ */
+export const writeUrlState = (state, { replace = false } = {}) => {
+    const url = buildStateUrl(state);
+    const currentUrl = `${window.location.pathname}${window.location.search}`;
+    
+    // Même recherche relancée : pas de nouvelle entrée d'historique
+    if (url === currentUrl) {
+        return;
+    }
+    
+    if (replace) {
+        window.history.replaceState(state, '', url);
+    } else {
+        window.history.pushState(state, '', url);
+    }
+};
+
+/**
+ * Retire la recherche de l'URL (sans nouvelle entrée d'historique)
+ */
+export const clearUrlState = () => {
+    writeUrlState({}, { replace: true });
+};
+
+// ===== NAVIGATION =====
+
+/**
+ * Abonne une fonction à la navigation précédent/suivant
+ * @param {Function} callback - Appelée avec l'état lu dans l'URL (ou null)
+ */
+export const onUrlStateChange = (callback) => {
+    window.addEventListener('popstate', () => {
+        callback(readUrlState());
+    });
+};
\ No newline at end of file
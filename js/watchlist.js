@@ -0,0 +1,343 @@
+// ===== MODULE WATCHLIST =====
+// Liste de films à voir : stockage local, panneau, export/import JSON
+
+import { getImageUrl, IMAGE_SIZES } from './api.js';
+import { t } from './i18n.js';
+import { html, setHTML } from './dom.js';
+
+const STORAGE_KEY = '4films:watchlist';
+const SORT_STORAGE_KEY = '4films:watchlist-sort';
+
+// Version du format d'export (à incrémenter si la structure change)
+export const WATCHLIST_VERSION = 1;
+
+let items = [];
+let sortOrder = 'added';
+const listeners = [];
+
+// Fonctions de tri disponibles
+const SORTERS = {
+    added: (a, b) => b.addedAt - a.addedAt,
+    title: (a, b) => a.title.localeCompare(b.title),
+    year: (a, b) => (b.release_date || '').localeCompare(a.release_date || ''),
+    rating: (a, b) => (b.vote_average || 0) - (a.vote_average || 0)
+};
+
+// ===== STORAGE =====
+
+/**
+ * Charge la watchlist depuis le localStorage
+ */
+const loadWatchlist = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        const storedSort = localStorage.getItem(SORT_STORAGE_KEY);
+        
+        items = stored?.version === WATCHLIST_VERSION ? sanitizeItems(stored.items) : [];
+        sortOrder = SORTERS[storedSort] ? storedSort : 'added';
+    } catch (error) {
+        console.error('Erreur lors du chargement de la watchlist:', error);
+        items = [];
+    }
+};
+
+/**
+ * Enregistre la watchlist et prévient les abonnés
+ */
+const saveWatchlist = () => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: WATCHLIST_VERSION, items }));
+    } catch (error) {
+        console.error('Erreur lors de l\'enregistrement de la watchlist:', error);
+    }
+    
+    listeners.forEach(callback => callback(items));
+};
+
+/**
+ * Ne conserve que les champs utiles d'un film TMDB, avec le type attendu par le panneau
+ * Les entrées sans type (anciennes listes) sont des films ; un champ mal typé prend sa valeur par défaut
+ * @param {Object} movie - Données du film ou de la série (normalisées par api.js)
+ * @returns {Object} Entrée de watchlist
+ */
+const toWatchlistItem = (movie) => ({
+    id: movie.id,
+    media_type: movie.media_type === 'tv' ? 'tv' : 'movie',
+    title: movie.title,
+    poster_path: typeof movie.poster_path === 'string' && movie.poster_path ? movie.poster_path : null,
+    release_date: typeof movie.release_date === 'string' ? movie.release_date : '',
+    vote_average: Number.isFinite(movie.vote_average) ? movie.vote_average : 0,
+    addedAt: Number.isFinite(movie.addedAt) ? movie.addedAt : Date.now()
+});
+
+/**
+ * Vérifie qu'une entrée importée ou stockée a la forme attendue
+ * @param {Object} item - Entrée à valider
+ * @returns {boolean} true si l'entrée est exploitable
+ */
+const isValidItem = (item) => {
+    return item !== null
+        && typeof item === 'object'
+        && Number.isInteger(item.id)
+        && typeof item.title === 'string';
+};
+
+/**
+ * Filtre et normalise des entrées venues de l'extérieur (fichier importé, localStorage)
+ * @param {Array} list - Entrées à contrôler
+ * @returns {Array} Entrées exploitables par le panneau
+ */
+const sanitizeItems = (list) => {
+    return Array.isArray(list) ? list.filter(isValidItem).map(toWatchlistItem) : [];
+};
+
+// ===== PUBLIC API =====
+
+/**
+ * @returns {Array} Copie des films de la watchlist
+ */
+export const getWatchlist = () => [...items];
+
+/**
+ * Vérifie si une entrée désigne un film (ou une série) donné
+ * Un film et une série peuvent partager le même ID TMDB
+ * @param {Object} item - Entrée de watchlist
+ * @param {number} movieId - ID du film
+ * @param {string} mediaType - 'movie' ou 'tv'
+ * @returns {boolean} true si l'entrée correspond
+ */
+const isSameItem = (item, movieId, mediaType) => {
+    return item.id === movieId && (item.media_type || 'movie') === mediaType;
+};
+
+/**
+ * Vérifie si un film est dans la watchlist
+ * @param {number} movieId - ID du film
+ * @param {string} mediaType - 'movie' ou 'tv'
+ * @returns {boolean} true si le film est enregistré
+ */
+export const isInWatchlist = (movieId, mediaType = 'movie') => {
+    return items.some(item => isSameItem(item, movieId, mediaType));
+};
+
+/**
+ * Ajoute un film à la watchlist
+ * @param {Object} movie - Données du film (TMDB)
+ */
+export const addToWatchlist = (movie) => {
+    if (isInWatchlist(movie.id, movie.media_type)) return;
+    items.push(toWatchlistItem(movie));
+    saveWatchlist();
+};
+
+/**
+ * Retire un film de la watchlist
+ * @param {number} movieId - ID du film
+ * @param {string} mediaType - 'movie' ou 'tv'
+ */
+export const removeFromWatchlist = (movieId, mediaType = 'movie') => {
+    items = items.filter(item => !isSameItem(item, movieId, mediaType));
+    saveWatchlist();
+};
+
+/**
+ * Ajoute ou retire un film de la watchlist
+ * @param {Object} movie - Données du film (TMDB)
+ * @returns {boolean} true si le film est désormais dans la watchlist
+ */
+export const toggleWatchlist = (movie) => {
+    if (isInWatchlist(movie.id, movie.media_type)) {
+        removeFromWatchlist(movie.id, movie.media_type);
+        return false;
+    }
+    
+    addToWatchlist(movie);
+    return true;
+};
+
+/**
+ * Abonne une fonction aux modifications de la watchlist
+ * @param {Function} callback - Appelée avec la liste des films
+ * @returns {Function} Désabonnement
+ */
+export const onWatchlistChange = (callback) => {
+    listeners.push(callback);
+    
+    return () => {
+        const index = listeners.indexOf(callback);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    };
+};
+
+// ===== EXPORT / IMPORT =====
+
+/**
+ * Télécharge la watchlist au format JSON versionné
+ */
+export const exportWatchlist = () => {
+    const payload = {
+        app: '4films',
+        version: WATCHLIST_VERSION,
+        exportedAt: new Date().toISOString(),
+        items
+    };
+    
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `4films-watchlist-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    
+    // Libérer l'URL une fois le téléchargement lancé
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+};
+
+/**
+ * Importe un fichier JSON exporté (fusion avec la liste existante)
+ * @param {File} file - Fichier sélectionné par l'utilisateur
+ * @returns {Promise<number>} Nombre de films ajoutés
+ * @throws {Error} Si le fichier est illisible ou d'une version inconnue
+ */
+export const importWatchlist = async (file) => {
+    let payload;
+    
+    try {
+        payload = JSON.parse(await file.text());
+    } catch (error) {
+        throw new Error(t('watchlist.importInvalid'));
+    }
+    
+    if (!payload || !Array.isArray(payload.items)) {
+        throw new Error(t('watchlist.importInvalid'));
+    }
+    
+    if (payload.version !== WATCHLIST_VERSION) {
+        throw new Error(t('watchlist.importVersion', { version: payload.version }));
+    }
+    
+    const newItems = sanitizeItems(payload.items)
+        .filter(item => !isInWatchlist(item.id, item.media_type));
+    
+    items.push(...newItems);
+    saveWatchlist();
+    
+    return newItems.length;
+};
+
+// ===== PANEL =====
+
+/**
+ * Initialise le panneau de la watchlist
+ */
+export const initWatchlist = () => {
+    const sortSelect = document.getElementById('watchlist-sort');
+    const exportBtn = document.getElementById('watchlist-export');
+    const importInput = document.getElementById('watchlist-import');
+    
+    sortSelect.value = sortOrder;
+    sortSelect.addEventListener('change', () => {
+        sortOrder = sortSelect.value;
+        
+        try {
+            localStorage.setItem(SORT_STORAGE_KEY, sortOrder);
+        } catch (error) {
+            console.warn('Impossible d\'enregistrer le tri de la watchlist:', error);
+        }
+        
+        renderWatchlist();
+    });
+    
+    exportBtn.addEventListener('click', exportWatchlist);
+    
+    importInput.addEventListener('change', async () => {
+        const [file] = importInput.files;
+        if (!file) return;
+        
+        try {
+            const count = await importWatchlist(file);
+            showStatus(t('watchlist.imported', { count }));
+        } catch (error) {
+            console.error('Erreur lors de l\'import de la watchlist:', error);
+            showStatus(error.message, true);
+        }
+        
+        importInput.value = '';
+    });
+    
+    onWatchlistChange(renderWatchlist);
+    renderWatchlist();
+};
+
+/**
+ * Affiche un message sous les actions du panneau
+ * @param {string} message - Message à afficher
+ * @param {boolean} isError - Message d'erreur
+ */
+const showStatus = (message, isError = false) => {
+    const status = document.getElementById('watchlist-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+    status.classList.remove('hidden');
+};
+
+/**
+ * Affiche les films de la watchlist dans le panneau
+ */
+export const renderWatchlist = () => {
+    const list = document.getElementById('watchlist-items');
+    const count = document.getElementById('watchlist-count');
+    const exportBtn = document.getElementById('watchlist-export');
+    
+    count.textContent = items.length;
+    exportBtn.disabled = items.length === 0;
+    list.innerHTML = '';
+    
+    if (items.length === 0) {
+        setHTML(list, html`<li class="watchlist-empty">${t('watchlist.empty')}</li>`);
+        return;
+    }
+    
+    [...items].sort(SORTERS[sortOrder]).forEach(item => {
+        list.appendChild(createWatchlistItem(item));
+    });
+};
+
+/**
+ * Crée l'élément d'un film de la watchlist
+ * @param {Object} item - Entrée de watchlist
+ * @returns {HTMLElement} Élément de liste
+ */
+const createWatchlistItem = (item) => {
+    const element = document.createElement('li');
+    element.className = 'watchlist-item';
+    
+    const posterUrl = getImageUrl(item.poster_path, IMAGE_SIZES.POSTER_SMALL)
+        || 'https://via.placeholder.com/40x60?text=?';
+    
+    setHTML(element, html`
+        <img class="watchlist-poster" alt="">
+        <div class="watchlist-info">
+            <div class="watchlist-title"></div>
+            <div class="watchlist-meta"></div>
+        </div>
+        <button type="button" class="watchlist-remove">✕</button>
+    `);
+    
+    const poster = element.querySelector('.watchlist-poster');
+    poster.src = posterUrl;
+    element.querySelector('.watchlist-title').textContent = item.title;
+    
+    const year = item.release_date ? item.release_date.split('-')[0] : t('card.noYear');
+    const series = item.media_type === 'tv' ? ` · ${t('media.series')}` : '';
+    element.querySelector('.watchlist-meta').textContent = `${year} · ⭐ ${item.vote_average.toFixed(1)}${series}`;
+    
+    const removeBtn = element.querySelector('.watchlist-remove');
+    removeBtn.setAttribute('aria-label', t('watchlist.remove', { title: item.title }));
+    removeBtn.addEventListener('click', () => removeFromWatchlist(item.id, item.media_type));
+    
+    return element;
+};
+
+loadWatchlist();
\ No newline at end of file
@@ -0,0 +1,812 @@
+// ===== SERVEUR DE DÉMO HORS LIGNE =====
+// Sert l'application et simule l'API TMDB (films et séries) à partir des fixtures de server/fixtures
+//
+// Usage :
+//   node server/fixture-server.mjs [--port 8080] [--fail 429] [--fail-path /discover] [--timeout-ms 30000] [--hostile]
+//
+// --fail accepte 401, 404, 429, 500 ou "timeout" (la requête reste sans réponse).
+// --hostile ajoute des charges XSS aux titres, synopsis, noms, mots-clés et plateformes :
+// l'application doit les afficher telles quelles, sans jamais les exécuter.
+// Les erreurs peuvent aussi être injectées à chaud (tests automatisés) :
+//   GET /__fixtures/fail?status=500&path=/discover&count=1
+//   GET /__fixtures/reset
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { ROOT_DIR, MIME_TYPES, sendStaticFile } from './static.mjs';
+
+const FIXTURES_DIR = new URL('./fixtures/', import.meta.url);
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_TIMEOUT_MS = 30000;
+const PAGE_SIZE = 20;
+
+// Réponses d'erreur au format TMDB
+const TMDB_ERRORS = {
+    401: { status_code: 7, status_message: 'Invalid API key: You must be granted a valid key.' },
+    404: { status_code: 34, status_message: 'The resource you requested could not be found.' },
+    429: { status_code: 25, status_message: 'Your request count (#) is over the allowed limit of (40).' },
+    500: { status_code: 11, status_message: 'Internal error: Something went wrong, contact TMDB.' }
+};
+
+// ===== FIXTURES =====
+
+/**
+ * Charge un fichier de fixtures
+ * @param {string} name - Nom du fichier (sans extension)
+ * @returns {Promise<*>} Contenu JSON
+ */
+const loadFixture = async (name) => {
+    return JSON.parse(await readFile(new URL(`${name}.json`, FIXTURES_DIR), 'utf8'));
+};
+
+/**
+ * Charge toutes les fixtures en mémoire
+ * @returns {Promise<Object>} { genres, tvGenres, movies, series, people, keywords, providers }
+ */
+export const loadFixtures = async () => {
+    const [genres, tvGenres, movies, series, people, keywords, providers] = await Promise.all(
+        ['genres', 'tv-genres', 'movies', 'series', 'people', 'keywords', 'providers'].map(loadFixture)
+    );
+    return { genres, tvGenres, movies, series, people, keywords, providers };
+};
+
+// ===== CHAÎNES HOSTILES =====
+
+// Charges injectées par --hostile (texte, attribut entre guillemets doubles, attribut entre guillemets simples)
+// Reprises par les tests de rendu (test/)
+export const HOSTILE_PAYLOADS = [
+    '<img src=x onerror=alert(1)>',
+    '"><script>alert(2)</script>',
+    '\' onmouseover=\'alert(3)'
+];
+
+/**
+ * Ajoute une charge hostile à un texte
+ * @param {string} text - Texte d'origine
+ * @param {number} index - Index de l'élément (fait varier la charge)
+ * @returns {string} Texte piégé
+ */
+const toHostile = (text, index) => {
+    return `${text} ${HOSTILE_PAYLOADS[index % HOSTILE_PAYLOADS.length]}`;
+};
+
+/**
+ * Piège chaque traduction d'un texte localisé ({ fr, en })
+ * @param {Object} texts - Textes par langue
+ * @param {number} index - Index de l'élément
+ * @returns {Object} Textes piégés
+ */
+const toHostileTexts = (texts, index) => {
+    return Object.fromEntries(Object.entries(texts).map(([lang, text]) => [lang, toHostile(text, index)]));
+};
+
+/**
+ * Piège les noms d'une liste de genres par langue ({ fr: [...], en: [...] })
+ * @param {Object} genres - Genres par langue
+ * @returns {Object} Genres piégés
+ */
+const toHostileGenres = (genres) => {
+    return Object.fromEntries(Object.entries(genres).map(([lang, list]) => [
+        lang,
+        list.map((genre, index) => ({ ...genre, name: toHostile(genre.name, index) }))
+    ]));
+};
+
+/**
+ * Piège toutes les chaînes modifiables sur TMDB (titres, synopsis, slogans, genres, noms, mots-clés, plateformes)
+ * @param {Object} fixtures - Fixtures d'origine
+ * @returns {Object} Fixtures piégées
+ */
+const makeHostile = ({ genres, tvGenres, movies, series, people, keywords, providers }) => ({
+    genres: toHostileGenres(genres),
+    tvGenres: toHostileGenres(tvGenres),
+    movies: movies.map((movie, index) => ({
+        ...movie,
+        title: toHostileTexts(movie.title, index),
+        overview: toHostileTexts(movie.overview, index + 1),
+        tagline: toHostileTexts(movie.tagline, index + 2)
+    })),
+    series: series.map((show, index) => ({
+        ...show,
+        name: toHostileTexts(show.name, index),
+        overview: toHostileTexts(show.overview, index + 1),
+        tagline: toHostileTexts(show.tagline, index + 2)
+    })),
+    people: people.map((person, index) => ({ ...person, name: toHostile(person.name, index) })),
+    keywords: keywords.map((keyword, index) => ({ ...keyword, name: toHostile(keyword.name, index) })),
+    providers: providers.map((provider, index) => ({
+        ...provider,
+        provider_name: toHostile(provider.provider_name, index)
+    }))
+});
+
+// ===== LOCALISATION =====
+
+/**
+ * Déduit la langue des fixtures depuis le paramètre language de TMDB
+ * @param {URLSearchParams} params - Paramètres de la requête
+ * @returns {string} 'fr' ou 'en'
+ */
+const getLang = (params) => {
+    return (params.get('language') || '').startsWith('fr') ? 'fr' : 'en';
+};
+
+/**
+ * Normalise un texte pour la recherche (casse et accents ignorés)
+ * @param {string} text - Texte à normaliser
+ * @returns {string} Texte normalisé
+ */
+const normalizeText = (text) => {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+};
+
+/**
+ * Convertit une fixture de film en résultat de liste TMDB
+ * @param {Object} movie - Fixture du film
+ * @param {string} lang - Langue ('fr' ou 'en')
+ * @returns {Object} Film au format TMDB
+ */
+const toMovieResult = (movie, lang) => ({
+    id: movie.id,
+    title: movie.title[lang],
+    original_title: movie.original_title,
+    original_language: movie.original_language,
+    overview: movie.overview[lang],
+    release_date: movie.release_date,
+    genre_ids: movie.genre_ids,
+    vote_average: movie.vote_average,
+    vote_count: movie.vote_count,
+    popularity: movie.popularity,
+    poster_path: movie.poster_path,
+    backdrop_path: movie.backdrop_path,
+    adult: false,
+    video: false
+});
+
+/**
+ * Convertit une fixture de série en résultat de liste TMDB
+ * @param {Object} show - Fixture de la série
+ * @param {string} lang - Langue ('fr' ou 'en')
+ * @returns {Object} Série au format TMDB
+ */
+const toSeriesResult = (show, lang) => ({
+    id: show.id,
+    name: show.name[lang],
+    original_name: show.original_name,
+    original_language: show.original_language,
+    overview: show.overview[lang],
+    first_air_date: show.first_air_date,
+    genre_ids: show.genre_ids,
+    vote_average: show.vote_average,
+    vote_count: show.vote_count,
+    popularity: show.popularity,
+    poster_path: show.poster_path,
+    backdrop_path: show.backdrop_path,
+    origin_country: []
+});
+
+/**
+ * Découpe une liste en page TMDB
+ * @param {Array} items - Résultats complets
+ * @param {string|null} pageParam - Numéro de page demandé
+ * @returns {Object} { page, results, total_pages, total_results }
+ */
+const paginate = (items, pageParam) => {
+    const page = Math.max(1, Number(pageParam) || 1);
+    
+    return {
+        page,
+        results: items.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+        total_pages: Math.max(1, Math.ceil(items.length / PAGE_SIZE)),
+        total_results: items.length
+    };
+};
+
+// ===== PLATEFORMES =====
+
+/**
+ * Liste les plateformes disponibles dans une région
+ * @param {Array} providers - Catalogue complet
+ * @param {string} region - Code pays
+ * @returns {Array} Plateformes de la région
+ */
+const getRegionProviders = (providers, region) => {
+    return providers.filter(provider => provider.display_priorities[region] !== undefined);
+};
+
+/**
+ * Attribue de façon déterministe des plateformes à un film (ou une série)
+ * @param {Object} movie - Fixture du film
+ * @param {Array} providers - Catalogue complet
+ * @param {string} region - Code pays
+ * @param {string} type - 'movie' ou 'tv'
+ * @returns {Object|null} { link, flatrate, rent, buy } ou null
+ */
+const getMovieProviders = (movie, providers, region, type = 'movie') => {
+    const available = getRegionProviders(providers, region);
+    if (available.length === 0) return null;
+    
+    const toEntry = (provider) => ({
+        provider_id: provider.provider_id,
+        provider_name: provider.provider_name,
+        logo_path: provider.logo_path,
+        display_priority: provider.display_priorities[region]
+    });
+    const stores = available.filter(provider => provider.provider_id === 2 || provider.provider_id === 3);
+    
+    return {
+        link: `https://www.themoviedb.org/${type}/${movie.id}/watch?locale=${region}`,
+        flatrate: [toEntry(available[movie.id % available.length])],
+        rent: stores.map(toEntry),
+        buy: stores.map(toEntry)
+    };
+};
+
+/**
+ * Liste toutes les régions présentes dans le catalogue
+ * @param {Array} providers - Catalogue complet
+ * @returns {Array<string>} Codes pays
+ */
+const getAllRegions = (providers) => {
+    return [...new Set(providers.flatMap(provider => Object.keys(provider.display_priorities)))];
+};
+
+// ===== DISCOVER =====
+
+/**
+ * Vérifie une liste d'IDs TMDB ("a,b" = tous, "a|b" = au moins un)
+ * @param {string|null} value - Valeur du paramètre
+ * @param {Array<number>} ids - IDs du film
+ * @returns {boolean} true si le film correspond (ou si le paramètre est absent)
+ */
+const matchesIdList = (value, ids) => {
+    if (!value) return true;
+    
+    if (value.includes('|')) {
+        return value.split('|').some(id => ids.includes(Number(id)));
+    }
+    return value.split(',').every(id => ids.includes(Number(id)));
+};
+
+/**
+ * Vérifie qu'un film respecte les critères de /discover/movie (ou une série ceux de /discover/tv)
+ * @param {Object} movie - Fixture du film
+ * @param {URLSearchParams} params - Paramètres de la requête
+ * @param {Array} providers - Catalogue complet
+ * @param {Object} catalog - Type de contenu (voir getCatalog)
+ * @returns {boolean} true si le film correspond
+ */
+const matchesDiscover = (movie, params, providers, catalog) => {
+    const get = (name) => params.get(name);
+    const without = (get('without_genres') || '').split(/[,|]/).filter(Boolean).map(Number);
+    const withoutKeywords = (get('without_keywords') || '').split(/[,|]/).filter(Boolean).map(Number);
+    const date = movie[catalog.dateField];
+    const runtime = catalog.getRuntime(movie);
+    
+    if (!matchesIdList(get('with_genres'), movie.genre_ids)) return false;
+    if (without.some(id => movie.genre_ids.includes(id))) return false;
+    if (!matchesIdList(get('with_keywords'), movie.keywords)) return false;
+    if (withoutKeywords.some(id => movie.keywords.includes(id))) return false;
+    if (catalog.type === 'movie' && !matchesIdList(get('with_cast'), movie.cast)) return false;
+    if (catalog.type === 'movie' && !matchesIdList(get('with_crew'), movie.directors)) return false;
+    if (get('with_original_language') && movie.original_language !== get('with_original_language')) return false;
+    if (get(`${catalog.dateParam}.gte`) && date < get(`${catalog.dateParam}.gte`)) return false;
+    if (get(`${catalog.dateParam}.lte`) && date > get(`${catalog.dateParam}.lte`)) return false;
+    if (get('vote_average.gte') && movie.vote_average < Number(get('vote_average.gte'))) return false;
+    if (get('vote_count.gte') && movie.vote_count < Number(get('vote_count.gte'))) return false;
+    if (get('with_runtime.gte') && runtime < Number(get('with_runtime.gte'))) return false;
+    if (get('with_runtime.lte') && runtime > Number(get('with_runtime.lte'))) return false;
+    
+    if (get('with_watch_providers') || get('with_watch_monetization_types')) {
+        const offers = getMovieProviders(movie, providers, get('watch_region') || 'US', catalog.type);
+        if (!offers) return false;
+        
+        const types = (get('with_watch_monetization_types') || 'flatrate|rent|buy').split('|');
+        const providerIds = types.flatMap(type => (offers[type] || []).map(provider => provider.provider_id));
+        
+        if (providerIds.length === 0) return false;
+        if (get('with_watch_providers') && !matchesIdList(get('with_watch_providers'), providerIds)) return false;
+    }
+    
+    return true;
+};
+
+/**
+ * Trie des films selon le paramètre sort_by de TMDB (ex: 'vote_average.desc')
+ * @param {Array} movies - Fixtures à trier
+ * @param {string|null} sortBy - Critère de tri
+ * @returns {Array} Films triés
+ */
+const sortMovies = (movies, sortBy) => {
+    const [field, direction] = (sortBy || 'popularity.desc').split('.');
+    const key = field === 'primary_release_date' ? 'release_date' : field;
+    const order = direction === 'asc' ? 1 : -1;
+    
+    return [...movies].sort((a, b) => (a[key] > b[key] ? 1 : a[key] < b[key] ? -1 : 0) * order);
+};
+
+// ===== ROUTES API =====
+
+/**
+ * Construit les détails complets d'un film (append_to_response: credits, videos)
+ * @param {Object} movie - Fixture du film
+ * @param {URLSearchParams} params - Paramètres de la requête
+ * @param {Object} fixtures - Toutes les fixtures
+ * @returns {Object} Détails au format TMDB
+ */
+const toMovieDetails = (movie, params, fixtures) => {
+    const lang = getLang(params);
+    const appended = (params.get('append_to_response') || '').split(',');
+    const person = (id) => fixtures.people.find(entry => entry.id === id);
+    const { genre_ids: genreIds, ...result } = toMovieResult(movie, lang);
+    
+    const details = {
+        ...result,
+        genres: fixtures.genres[lang].filter(genre => genreIds.includes(genre.id)),
+        runtime: movie.runtime,
+        budget: movie.budget,
+        revenue: movie.revenue,
+        tagline: movie.tagline[lang],
+        status: 'Released'
+    };
+    
+    if (appended.includes('credits')) {
+        details.credits = {
+            cast: movie.cast.map((id, order) => ({
+                id,
+                name: person(id).name,
+                character: '',
+                profile_path: person(id).profile_path,
+                order
+            })),
+            crew: movie.directors.map(id => ({
+                id,
+                name: person(id).name,
+                job: 'Director',
+                department: 'Directing',
+                profile_path: person(id).profile_path
+            }))
+        };
+    }
+    
+    if (appended.includes('videos')) {
+        details.videos = { results: [] };
+    }
+    
+    return details;
+};
+
+/**
+ * Construit les détails complets d'une série (append_to_response: credits, videos)
+ * @param {Object} show - Fixture de la série
+ * @param {URLSearchParams} params - Paramètres de la requête
+ * @param {Object} fixtures - Toutes les fixtures
+ * @returns {Object} Détails au format TMDB
+ */
+const toSeriesDetails = (show, params, fixtures) => {
+    const lang = getLang(params);
+    const appended = (params.get('append_to_response') || '').split(',');
+    const person = (id) => fixtures.people.find(entry => entry.id === id);
+    const { genre_ids: genreIds, ...result } = toSeriesResult(show, lang);
+    
+    const details = {
+        ...result,
+        genres: fixtures.tvGenres[lang].filter(genre => genreIds.includes(genre.id)),
+        episode_run_time: show.episode_run_time,
+        number_of_seasons: show.number_of_seasons,
+        number_of_episodes: show.number_of_episodes,
+        created_by: show.creators.map(id => ({ id, name: person(id).name, profile_path: person(id).profile_path })),
+        tagline: show.tagline[lang],
+        status: 'Ended'
+    };
+    
+    if (appended.includes('credits')) {
+        details.credits = {
+            cast: show.cast.map((id, order) => ({
+                id,
+                name: person(id).name,
+                character: '',
+                profile_path: person(id).profile_path,
+                order
+            })),
+            crew: []
+        };
+    }
+    
+    if (appended.includes('videos')) {
+        details.videos = { results: [] };
+    }
+    
+    return details;
+};
+
+/**
+ * Construit la filmographie d'une personne (/person/:id/movie_credits ou tv_credits)
+ * @param {number} personId - ID de la personne
+ * @param {Object} catalog - Type de contenu (voir getCatalog)
+ * @param {string} lang - Langue
+ * @returns {Object} { cast, crew } au format TMDB
+ */
+const toPersonCredits = (personId, catalog, lang) => {
+    const cast = catalog.items
+        .filter(item => item.cast.includes(personId))
+        .map(item => ({ ...catalog.toResult(item, lang), character: '' }));
+    const crew = catalog.items.flatMap(item => catalog.getCrew(item)
+        .filter(credit => credit.id === personId)
+        .map(({ job, department }) => ({ ...catalog.toResult(item, lang), job, department })));
+    
+    return { cast, crew };
+};
+
+/**
+ * Décrit un type de contenu de l'API simulée (routes /movie et /tv)
+ * @param {Object} fixtures - Toutes les fixtures
+ * @param {string} type - 'movie' ou 'tv'
+ * @returns {Object} Fixtures, genres, conversions et champs propres au type
+ */
+const getCatalog = (fixtures, type) => {
+    if (type === 'tv') {
+        return {
+            type,
+            items: fixtures.series,
+            genres: fixtures.tvGenres,
+            toResult: toSeriesResult,
+            toDetails: toSeriesDetails,
+            getTitles: show => [show.name.fr, show.name.en, show.original_name],
+            getRuntime: show => show.episode_run_time[0],
+            getCrew: show => show.creators.map(id => ({ id, job: 'Creator', department: 'Writing' })),
+            dateField: 'first_air_date',
+            dateParam: 'first_air_date'
+        };
+    }
+    
+    return {
+        type,
+        items: fixtures.movies,
+        genres: fixtures.genres,
+        toResult: toMovieResult,
+        toDetails: toMovieDetails,
+        getTitles: movie => [movie.title.fr, movie.title.en, movie.original_title],
+        getRuntime: movie => movie.runtime,
+        getCrew: movie => movie.directors.map(id => ({ id, job: 'Director', department: 'Directing' })),
+        dateField: 'release_date',
+        dateParam: 'primary_release_date'
+    };
+};
+
+/**
+ * Répond à une requête de l'API simulée
+ * @param {string} path - Chemin sans le préfixe /3 (ex: '/discover/movie')
+ * @param {URLSearchParams} params - Paramètres de la requête
+ * @param {Object} fixtures - Toutes les fixtures
+ * @returns {Object} { status, body }
+ */
+export const routeApi = (path, params, fixtures) => {
+    const lang = getLang(params);
+    const findMovie = (id) => fixtures.movies.find(movie => movie.id === Number(id));
+    const findItem = (catalog, id) => catalog.items.find(item => item.id === Number(id));
+    let match;
+    
+    if ((match = path.match(/^\/genre\/(movie|tv)\/list$/))) {
+        return { status: 200, body: { genres: getCatalog(fixtures, match[1]).genres[lang] } };
+    }
+    
+    if ((match = path.match(/^\/discover\/(movie|tv)$/))) {
+        const catalog = getCatalog(fixtures, match[1]);
+        const items = sortMovies(
+            catalog.items.filter(item => matchesDiscover(item, params, fixtures.providers, catalog)),
+            params.get('sort_by')
+        );
+        return { status: 200, body: paginate(items.map(item => catalog.toResult(item, lang)), params.get('page')) };
+    }
+    
+    if ((match = path.match(/^\/search\/(movie|tv)$/))) {
+        const catalog = getCatalog(fixtures, match[1]);
+        const query = normalizeText(params.get('query') || '');
+        const items = catalog.items.filter(item => (
+            catalog.getTitles(item).some(title => normalizeText(title).includes(query))
+        ));
+        return { status: 200, body: paginate(sortMovies(items).map(item => catalog.toResult(item, lang)), params.get('page')) };
+    }
+    
+    if (path === '/search/person') {
+        const query = normalizeText(params.get('query') || '');
+        const people = fixtures.people
+            .filter(person => normalizeText(person.name).includes(query))
+            .map(person => ({
+                ...person,
+                known_for: person.known_for.map(id => toMovieResult(findMovie(id), lang))
+            }));
+        return { status: 200, body: paginate(people, params.get('page')) };
+    }
+    
+    if (path === '/search/keyword') {
+        const query = normalizeText(params.get('query') || '');
+        const keywords = fixtures.keywords.filter(keyword => normalizeText(keyword.name).includes(query));
+        return { status: 200, body: paginate(keywords, params.get('page')) };
+    }
+    
+    if ((match = path.match(/^\/keyword\/(\d+)$/))) {
+        const keyword = fixtures.keywords.find(entry => entry.id === Number(match[1]));
+        
+        if (keyword) {
+            return { status: 200, body: keyword };
+        }
+    }
+    
+    if ((match = path.match(/^\/person\/(\d+)\/(movie|tv)_credits$/))) {
+        const catalog = getCatalog(fixtures, match[2]);
+        const personId = Number(match[1]);
+        
+        if (fixtures.people.some(person => person.id === personId)) {
+            return { status: 200, body: { id: personId, ...toPersonCredits(personId, catalog, lang) } };
+        }
+    }
+    
+    if (/^\/watch\/providers\/(movie|tv)$/.test(path)) {
+        const region = params.get('watch_region');
+        const providers = region ? getRegionProviders(fixtures.providers, region) : fixtures.providers;
+        return { status: 200, body: { results: providers } };
+    }
+    
+    if ((match = path.match(/^\/(movie|tv)\/(\d+)(\/recommendations|\/watch\/providers)?$/))) {
+        const catalog = getCatalog(fixtures, match[1]);
+        const item = findItem(catalog, match[2]);
+        
+        if (item && match[3] === '/recommendations') {
+            const shared = (other) => other.genre_ids.filter(id => item.genre_ids.includes(id)).length;
+            const items = catalog.items
+                .filter(other => other.id !== item.id && shared(other) > 0)
+                .sort((a, b) => shared(b) - shared(a) || b.vote_average - a.vote_average);
+            return { status: 200, body: paginate(items.map(other => catalog.toResult(other, lang)), params.get('page')) };
+        }
+        
+        if (item && match[3] === '/watch/providers') {
+            const results = Object.fromEntries(getAllRegions(fixtures.providers).map(region => [
+                region,
+                getMovieProviders(item, fixtures.providers, region, catalog.type)
+            ]));
+            return { status: 200, body: { id: item.id, results } };
+        }
+        
+        if (item) {
+            return { status: 200, body: catalog.toDetails(item, params, fixtures) };
+        }
+    }
+    
+    return { status: 404, body: { success: false, ...TMDB_ERRORS[404] } };
+};
+
+// ===== INJECTION D'ERREURS =====
+
+/**
+ * Crée une règle d'échec
+ * @param {string|number} status - Code HTTP (401, 404, 429, 500) ou 'timeout'
+ * @param {string} path - Préfixe des chemins concernés (ex: '/discover')
+ * @param {number} count - Nombre de requêtes à faire échouer (Infinity = toutes)
+ * @returns {Object|null} Règle ou null si le statut est invalide
+ */
+export const createFailureRule = (status, path = '/', count = Infinity) => {
+    if (status !== 'timeout' && !TMDB_ERRORS[status]) return null;
+    return { status, path, remaining: count };
+};
+
+/**
+ * Indique si une requête doit échouer (et consomme la règle)
+ * @param {Object|null} rule - Règle d'échec courante
+ * @param {string} path - Chemin de la requête (sans /3)
+ * @returns {boolean} true si la requête doit échouer
+ */
+export const consumeFailure = (rule, path) => {
+    if (!rule || rule.remaining <= 0 || !path.startsWith(rule.path)) return false;
+    rule.remaining--;
+    return true;
+};
+
+// ===== IMAGES =====
+
+/**
+ * Échappe un texte pour l'insérer dans du XML
+ * @param {string} text - Texte brut
+ * @returns {string} Texte échappé
+ */
+const escapeXml = (text) => {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+};
+
+/**
+ * Génère une image de remplacement (SVG) pour un chemin d'image TMDB
+ * Le libellé reprend le titre du film (ou de la série), le nom de la plateforme ou de la personne
+ * @param {string} size - Taille TMDB (ex: 'w500', 'original')
+ * @param {string} file - Chemin de l'image (ex: '/inception.jpg')
+ * @param {Object} fixtures - Toutes les fixtures
+ * @returns {string} Contenu SVG
+ */
+const createPlaceholderImage = (size, file, fixtures) => {
+    const movie = [...fixtures.movies, ...fixtures.series].find(entry => entry.poster_path === file || entry.backdrop_path === file);
+    const provider = fixtures.providers.find(entry => entry.logo_path === file);
+    const person = fixtures.people.find(entry => entry.profile_path === file);
+    const label = (movie?.title || movie?.name)?.en || provider?.provider_name || person?.name || file.replace(/^\/|\.\w+$/g, '');
+    
+    const width = Number(size.replace(/^w/, '')) || 500;
+    const ratio = provider ? 1 : movie?.backdrop_path === file ? 9 / 16 : 3 / 2;
+    const height = Math.round(width * ratio);
+    const hue = [...label].reduce((sum, char) => sum + char.charCodeAt(0), 0) % 360;
+    
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        + `<rect width="100%" height="100%" fill="hsl(${hue}, 45%, 28%)"/>`
+        + `<text x="50%" y="50%" fill="#fff" font-family="sans-serif" font-size="${Math.max(10, Math.round(width / 12))}" `
+        + `text-anchor="middle" dominant-baseline="middle">${escapeXml(label)}</text>`
+        + '</svg>';
+};
+
+// ===== CONFIGURATION =====
+
+/**
+ * Génère js/config.js en pointant l'API et les images (affichées et dessinées) vers ce serveur
+ * @param {string} origin - Origine du serveur (ex: 'http://localhost:8080')
+ * @returns {Promise<string>} Module de configuration
+ */
+const createConfigModule = async (origin) => {
+    const source = await readFile(join(ROOT_DIR, 'js', 'config.js'), 'utf8');
+    
+    return source
+        .replace(/(export const API_BASE_URL = )'[^']*'/, `$1'${origin}/3'`)
+        .replace(/(export const IMAGE_BASE_URL = )'[^']*'/, `$1'${origin}/t/p'`)
+        .replace(/(export const CANVAS_IMAGE_BASE_URL = )'[^']*'/, `$1'${origin}/t/p'`);
+};
+
+// ===== SERVEUR =====
+
+/**
+ * Crée le serveur de démo
+ * @param {Object} options - Options
+ * @param {string|number|null} options.fail - Erreur à injecter sur toutes les requêtes API
+ * @param {string} options.failPath - Préfixe des requêtes concernées par options.fail
+ * @param {number} options.timeoutMs - Durée avant coupure d'une requête en 'timeout'
+ * @param {boolean} options.hostile - Ajoute des charges XSS aux chaînes des fixtures
+ * @returns {Promise<import('node:http').Server>} Serveur (non démarré)
+ */
+export const createFixtureServer = async ({ fail = null, failPath = '/', timeoutMs = DEFAULT_TIMEOUT_MS, hostile = false } = {}) => {
+    const fixtures = hostile ? makeHostile(await loadFixtures()) : await loadFixtures();
+    const pendingTimeouts = new Set();
+    let failureRule = fail ? createFailureRule(fail, failPath) : null;
+    
+    const sendJson = (res, status, body, headers = {}) => {
+        res.writeHead(status, {
+            'Content-Type': MIME_TYPES['.json'],
+            'Access-Control-Allow-Origin': '*',
+            ...headers
+        });
+        res.end(JSON.stringify(body));
+    };
+    
+    const handleApi = (res, path, params) => {
+        if (consumeFailure(failureRule, path)) {
+            if (failureRule.status === 'timeout') {
+                // Aucune réponse : la connexion est coupée après timeoutMs
+                const timer = setTimeout(() => {
+                    pendingTimeouts.delete(timer);
+                    res.destroy();
+                }, timeoutMs);
+                pendingTimeouts.add(timer);
+                return;
+            }
+            
+            const headers = failureRule.status === 429 ? { 'Retry-After': '10' } : {};
+            sendJson(res, failureRule.status, { success: false, ...TMDB_ERRORS[failureRule.status] }, headers);
+            return;
+        }
+        
+        const { status, body } = routeApi(path, params, fixtures);
+        sendJson(res, status, body);
+    };
+    
+    const handleControl = (res, action, params) => {
+        if (action === 'reset') {
+            failureRule = null;
+            sendJson(res, 200, { ok: true });
+            return;
+        }
+        
+        if (action === 'fail') {
+            const status = params.get('status') === 'timeout' ? 'timeout' : Number(params.get('status'));
+            const count = params.has('count') ? Number(params.get('count')) : Infinity;
+            const rule = createFailureRule(status, params.get('path') || '/', count);
+            
+            if (!rule) {
+                sendJson(res, 400, { ok: false, error: `Statut non pris en charge : ${params.get('status')}` });
+                return;
+            }
+            
+            failureRule = rule;
+            sendJson(res, 200, { ok: true, rule: { ...rule, remaining: String(rule.remaining) } });
+            return;
+        }
+        
+        sendJson(res, 404, { ok: false });
+    };
+    
+    const handleStatic = async (req, res, pathname) => {
+        if (pathname !== '/js/config.js') {
+            await sendStaticFile(res, pathname);
+            return;
+        }
+        
+        try {
+            const body = await createConfigModule(`http://${req.headers.host}`);
+            res.writeHead(200, { 'Content-Type': MIME_TYPES['.js'], 'Cache-Control': 'no-store' });
+            res.end(body);
+        } catch (error) {
+            res.writeHead(500).end();
+        }
+    };
+    
+    const server = createServer((req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        let match;
+        
+        if (url.pathname.startsWith('/3/')) {
+            handleApi(res, url.pathname.slice(2), url.searchParams);
+        } else if ((match = url.pathname.match(/^\/t\/p\/([^/]+)(\/.+)$/))) {
+            res.writeHead(200, { 'Content-Type': MIME_TYPES['.svg'], 'Access-Control-Allow-Origin': '*' });
+            res.end(createPlaceholderImage(match[1], decodeURIComponent(match[2]), fixtures));
+        } else if ((match = url.pathname.match(/^\/__fixtures\/(\w+)$/))) {
+            handleControl(res, match[1], url.searchParams);
+        } else {
+            handleStatic(req, res, url.pathname);
+        }
+    });
+    
+    // Les requêtes en 'timeout' ne doivent pas empêcher l'arrêt du serveur
+    server.on('close', () => {
+        pendingTimeouts.forEach(clearTimeout);
+        pendingTimeouts.clear();
+    });
+    
+    return server;
+};
+
+// ===== LIGNE DE COMMANDE =====
+
+const isMainModule = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+
+if (isMainModule) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: String(DEFAULT_PORT) },
+            fail: { type: 'string' },
+            'fail-path': { type: 'string', default: '/' },
+            'timeout-ms': { type: 'string', default: String(DEFAULT_TIMEOUT_MS) },
+            hostile: { type: 'boolean', default: false }
+        }
+    });
+    
+    const fail = values.fail === 'timeout' ? 'timeout' : values.fail ? Number(values.fail) : null;
+    
+    if (fail && !createFailureRule(fail)) {
+        console.error(`Statut non pris en charge : ${values.fail} (401, 404, 429, 500 ou timeout)`);
+        process.exit(1);
+    }
+    
+    const server = await createFixtureServer({
+        fail,
+        failPath: values['fail-path'],
+        timeoutMs: Number(values['timeout-ms']),
+        hostile: values.hostile
+    });
+    
+    server.listen(Number(values.port), () => {
+        console.log(`🎬 4 Films (démo hors ligne) : http://localhost:${values.port}`);
+        if (fail) {
+            console.log(`⚠️ Erreur injectée : ${fail} sur ${values['fail-path']}`);
+        }
+        if (values.hostile) {
+            console.log('⚠️ Chaînes hostiles activées (charges XSS dans les fixtures)');
+        }
+    });
+}
\ No newline at end of file
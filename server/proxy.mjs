@@ -0,0 +1,375 @@
+// ===== PROXY API TMDB =====
+// Sert l'application et relaie ses requêtes /api/... vers TMDB : le jeton ne quitte jamais le serveur
+//
+// Usage :
+//   TMDB_READ_TOKEN=<jeton v4> node server/proxy.mjs [--port 8080] [--trust-proxy]
+//   node --env-file=.env server/proxy.mjs
+//
+// TMDB_READ_TOKEN : jeton d'accès en lecture (API v4, envoyé en Authorization: Bearer)
+// TMDB_LANGUAGE : langue ajoutée aux requêtes qui n'en précisent pas (défaut : fr-FR)
+// --trust-proxy identifie les clients par X-Forwarded-For (derrière un reverse proxy).
+//
+// Seuls les endpoints utilisés par l'application sont relayés. Les réponses sont gardées
+// en cache et chaque client est limité à RATE_LIMIT_MAX requêtes vers TMDB par fenêtre de RATE_LIMIT_WINDOW
+// (les réponses servies depuis le cache ne sont pas comptées).
+//
+// Les affiches dessinées sur un canvas (image partagée du classement) sont relayées sous /images/... :
+// servies sur la même origine que l'application, elles ne rendent pas le canvas inexportable.
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { MIME_TYPES, sendStaticFile } from './static.mjs';
+
+const TMDB_API_URL = 'https://api.themoviedb.org/3';
+const TMDB_IMAGE_URL = 'https://image.tmdb.org/t/p';
+const API_PREFIX = '/api';
+const IMAGE_PREFIX = '/images';
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_LANGUAGE = 'fr-FR';
+const UPSTREAM_TIMEOUT = 10000; // Délai maximal d'une requête vers TMDB (ms)
+const CACHE_MAX_ENTRIES = 1000; // Au-delà, les réponses les plus anciennes sont oubliées
+const RATE_LIMIT_MAX = 40;
+const RATE_LIMIT_WINDOW = 10000; // ms
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Images relayées : taille TMDB (w342, original...) puis fichier, gardées un jour par le navigateur
+// Seules les affiches matricielles sont relayées, avec un type fixé par l'extension :
+// servies depuis l'origine de l'application, elles ne doivent jamais pouvoir exécuter de script
+const IMAGE_PATTERN = /^\/(w\d{2,4}|original)\/[\w-]+\.(jpg|png)$/;
+const IMAGE_TYPES = { jpg: 'image/jpeg', png: 'image/png' };
+const IMAGE_MAX_AGE = 24 * 60 * 60; // s
+
+// Endpoints relayés et durée de cache de leurs réponses
+const ALLOWED_ENDPOINTS = [
+    { pattern: /^\/genre\/(movie|tv)\/list$/, ttl: 24 * HOUR },
+    { pattern: /^\/discover\/(movie|tv)$/, ttl: HOUR },
+    { pattern: /^\/search\/(movie|tv|person|keyword)$/, ttl: 10 * MINUTE },
+    { pattern: /^\/(movie|tv)\/\d+$/, ttl: 24 * HOUR },
+    { pattern: /^\/(movie|tv)\/\d+\/recommendations$/, ttl: HOUR },
+    { pattern: /^\/(movie|tv)\/\d+\/watch\/providers$/, ttl: 12 * HOUR },
+    { pattern: /^\/person\/\d+\/(movie|tv)_credits$/, ttl: 24 * HOUR },
+    { pattern: /^\/keyword\/\d+$/, ttl: 24 * HOUR },
+    { pattern: /^\/watch\/providers\/(movie|tv)$/, ttl: 24 * HOUR }
+];
+
+// Réponses d'erreur au format TMDB (lues par js/errors.js comme celles de l'API)
+const PROXY_ERRORS = {
+    404: { status_code: 34, status_message: 'The resource you requested could not be found.' },
+    405: { status_code: 3, status_message: 'Only GET requests are relayed.' },
+    429: { status_code: 25, status_message: `Your request count (#) is over the allowed limit of (${RATE_LIMIT_MAX}).` },
+    502: { status_code: 11, status_message: 'TMDB could not be reached.' },
+    504: { status_code: 24, status_message: 'TMDB did not answer in time.' }
+};
+
+// ===== ENDPOINTS =====
+
+/**
+ * Trouve la règle d'un endpoint relayé
+ * @param {string} path - Chemin sans le préfixe /api (ex: '/discover/movie')
+ * @returns {Object|null} { pattern, ttl }, ou null si l'endpoint n'est pas autorisé
+ */
+const findEndpoint = (path) => {
+    return ALLOWED_ENDPOINTS.find(endpoint => endpoint.pattern.test(path)) ?? null;
+};
+
+/**
+ * Construit l'URL TMDB d'une requête du navigateur
+ * Une éventuelle clé envoyée par le client est retirée : seul le jeton du serveur fait foi.
+ * @param {string} path - Chemin sans le préfixe /api
+ * @param {URLSearchParams} params - Paramètres de la requête
+ * @param {string} language - Langue par défaut
+ * @returns {URL} URL de l'API TMDB (paramètres triés : sert aussi de clé de cache)
+ */
+const buildUpstreamUrl = (path, params, language) => {
+    const url = new URL(`${TMDB_API_URL}${path}`);
+    
+    params.forEach((value, key) => {
+        if (key !== 'api_key') {
+            url.searchParams.append(key, value);
+        }
+    });
+    if (!url.searchParams.has('language')) {
+        url.searchParams.set('language', language);
+    }
+    url.searchParams.sort();
+    
+    return url;
+};
+
+// ===== CACHE =====
+
+/**
+ * Crée un cache mémoire des réponses TMDB
+ * @param {number} maxEntries - Nombre maximal de réponses gardées
+ * @returns {Object} { get, set, clear }
+ */
+const createResponseCache = (maxEntries = CACHE_MAX_ENTRIES) => {
+    const entries = new Map(); // Ordre d'insertion : la première entrée est la plus ancienne
+    
+    return {
+        get: (key) => {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return entry.body;
+        },
+        
+        set: (key, body, ttl) => {
+            entries.delete(key);
+            entries.set(key, { body, expiresAt: Date.now() + ttl });
+            
+            if (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        
+        clear: () => entries.clear()
+    };
+};
+
+// ===== RATE LIMITING =====
+
+/**
+ * Crée un limiteur de débit par client (fenêtre fixe)
+ * @param {Object} options - Options
+ * @param {number} options.max - Requêtes autorisées par fenêtre
+ * @param {number} options.windowMs - Durée d'une fenêtre (ms)
+ * @returns {Object} { consume, stop }
+ */
+const createRateLimiter = ({ max = RATE_LIMIT_MAX, windowMs = RATE_LIMIT_WINDOW } = {}) => {
+    const clients = new Map(); // client → { count, resetAt }
+    
+    // Oublier régulièrement les clients dont la fenêtre est terminée
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        clients.forEach((entry, client) => {
+            if (entry.resetAt <= now) {
+                clients.delete(client);
+            }
+        });
+    }, windowMs);
+    sweeper.unref();
+    
+    return {
+        /**
+         * Compte une requête d'un client
+         * @param {string} client - Identifiant du client (adresse IP)
+         * @returns {number} 0 si la requête est acceptée, sinon délai avant la prochaine fenêtre (ms)
+         */
+        consume: (client) => {
+            const now = Date.now();
+            let entry = clients.get(client);
+            
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                clients.set(client, entry);
+            }
+            
+            entry.count++;
+            return entry.count > max ? entry.resetAt - now : 0;
+        },
+        
+        stop: () => clearInterval(sweeper)
+    };
+};
+
+/**
+ * Identifie le client d'une requête
+ * @param {import('node:http').IncomingMessage} req - Requête HTTP
+ * @param {boolean} trustProxy - Lire X-Forwarded-For (adresse ajoutée par le reverse proxy)
+ * @returns {string} Adresse IP du client
+ */
+const getClientId = (req, trustProxy) => {
+    const forwarded = trustProxy ? req.headers['x-forwarded-for'] : null;
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+};
+
+// ===== SERVEUR =====
+
+/**
+ * Crée le proxy (API et fichiers de l'application)
+ * @param {Object} options - Options
+ * @param {string} options.token - Jeton d'accès en lecture TMDB (API v4)
+ * @param {string} options.language - Langue des requêtes qui n'en précisent pas
+ * @param {boolean} options.trustProxy - Identifier les clients par X-Forwarded-For
+ * @param {Object} options.rateLimit - { max, windowMs } par client
+ * @param {Function} options.fetch - Implémentation de fetch (remplaçable pour les tests)
+ * @returns {import('node:http').Server} Serveur (non démarré)
+ */
+export const createProxyServer = ({
+    token,
+    language = DEFAULT_LANGUAGE,
+    trustProxy = false,
+    rateLimit = {},
+    fetch: fetchUpstream = globalThis.fetch
+}) => {
+    if (!token) {
+        throw new Error('Jeton TMDB manquant (TMDB_READ_TOKEN)');
+    }
+    
+    const cache = createResponseCache();
+    const limiter = createRateLimiter(rateLimit);
+    
+    const sendJson = (res, status, body, headers = {}) => {
+        res.writeHead(status, {
+            'Content-Type': MIME_TYPES['.json'],
+            'Cache-Control': 'no-store',
+            ...headers
+        });
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    };
+    
+    const sendError = (res, status, headers = {}) => {
+        sendJson(res, status, { success: false, ...PROXY_ERRORS[status] }, headers);
+    };
+    
+    /**
+     * Compte une requête vers TMDB et répond 429 si le client dépasse sa limite
+     * @returns {boolean} true si la requête peut partir
+     */
+    const allowUpstream = (req, res) => {
+        const retryAfter = limiter.consume(getClientId(req, trustProxy));
+        if (retryAfter > 0) {
+            sendError(res, 429, { 'Retry-After': String(Math.ceil(retryAfter / 1000)) });
+            return false;
+        }
+        return true;
+    };
+    
+    const handleApi = async (req, res, path, params) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendError(res, 405, { Allow: 'GET, HEAD' });
+            return;
+        }
+        
+        const endpoint = findEndpoint(path);
+        if (!endpoint) {
+            sendError(res, 404);
+            return;
+        }
+        
+        const url = buildUpstreamUrl(path, params, language);
+        const cached = cache.get(url.href);
+        if (cached) {
+            sendJson(res, 200, cached, { 'X-Cache': 'HIT' });
+            return;
+        }
+        
+        // Seules les requêtes relayées à TMDB comptent : les réponses en cache ne coûtent rien
+        if (!allowUpstream(req, res)) return;
+        
+        try {
+            const response = await fetchUpstream(url, {
+                headers: { Authorization: `Bearer ${token}`, Accept: 'application/json' },
+                signal: AbortSignal.timeout(UPSTREAM_TIMEOUT)
+            });
+            const body = await response.text();
+            
+            // Seules les réponses valides sont gardées ; les erreurs TMDB sont transmises telles quelles
+            if (response.ok) {
+                cache.set(url.href, body, endpoint.ttl);
+            }
+            
+            const retryHeader = response.headers.get('Retry-After');
+            sendJson(res, response.status, body, {
+                'X-Cache': 'MISS',
+                ...(retryHeader ? { 'Retry-After': retryHeader } : {})
+            });
+        } catch (error) {
+            console.warn(`Échec de la requête TMDB ${path}:`, error.message);
+            sendError(res, error.name === 'TimeoutError' ? 504 : 502);
+        }
+    };
+    
+    const handleImage = async (req, res, path) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendError(res, 405, { Allow: 'GET, HEAD' });
+            return;
+        }
+        
+        const match = path.match(IMAGE_PATTERN);
+        if (!match) {
+            sendError(res, 404);
+            return;
+        }
+        
+        if (!allowUpstream(req, res)) return;
+        
+        try {
+            const response = await fetchUpstream(`${TMDB_IMAGE_URL}${path}`, {
+                signal: AbortSignal.timeout(UPSTREAM_TIMEOUT)
+            });
+            
+            if (!response.ok) {
+                sendError(res, response.status === 404 ? 404 : 502);
+                return;
+            }
+            
+            res.writeHead(200, {
+                'Content-Type': IMAGE_TYPES[match[2]],
+                'Cache-Control': `public, max-age=${IMAGE_MAX_AGE}`,
+                'X-Content-Type-Options': 'nosniff',
+                'Content-Security-Policy': 'default-src \'none\''
+            });
+            res.end(Buffer.from(await response.arrayBuffer()));
+        } catch (error) {
+            console.warn(`Échec de la requête d'image TMDB ${path}:`, error.message);
+            sendError(res, error.name === 'TimeoutError' ? 504 : 502);
+        }
+    };
+    
+    const server = createServer((req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        
+        if (url.pathname.startsWith(`${API_PREFIX}/`)) {
+            handleApi(req, res, url.pathname.slice(API_PREFIX.length), url.searchParams);
+        } else if (url.pathname.startsWith(`${IMAGE_PREFIX}/`)) {
+            handleImage(req, res, url.pathname.slice(IMAGE_PREFIX.length));
+        } else {
+            sendStaticFile(res, url.pathname);
+        }
+    });
+    
+    server.on('close', () => {
+        limiter.stop();
+        cache.clear();
+    });
+    
+    return server;
+};
+
+// ===== LIGNE DE COMMANDE =====
+
+const isMainModule = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+
+if (isMainModule) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: String(DEFAULT_PORT) },
+            'trust-proxy': { type: 'boolean', default: false }
+        }
+    });
+    
+    if (!process.env.TMDB_READ_TOKEN) {
+        console.error('TMDB_READ_TOKEN manquant : renseignez le jeton d\'accès en lecture TMDB (API v4)');
+        process.exit(1);
+    }
+    
+    const server = createProxyServer({
+        token: process.env.TMDB_READ_TOKEN,
+        language: process.env.TMDB_LANGUAGE || DEFAULT_LANGUAGE,
+        trustProxy: values['trust-proxy']
+    });
+    
+    server.listen(Number(values.port), () => {
+        console.log(`🎬 4 Films (proxy TMDB) : http://localhost:${values.port}`);
+    });
+}
\ No newline at end of file
@@ -0,0 +1,63 @@
+// ===== FICHIERS STATIQUES =====
+// Service des fichiers de l'application, partagé par le serveur de démo et le proxy API
+
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const ROOT_DIR = fileURLToPath(new URL('..', import.meta.url));
+
+// Seuls les fichiers de l'application sont servis : ni server/, ni les autres fichiers du dépôt
+const PUBLIC_FILES = ['index.html', 'favicon.ico'];
+const PUBLIC_DIRS = ['css', 'js', 'assets'];
+
+export const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.svg': 'image/svg+xml'
+};
+
+/**
+ * Résout un chemin d'URL vers un fichier de l'application
+ * @param {string} pathname - Chemin demandé
+ * @returns {string|null} Chemin absolu, ou null s'il sort des fichiers publics (ou vise un fichier caché, comme .env)
+ */
+export const resolveStaticPath = (pathname) => {
+    const relativePath = normalize(decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+    const filePath = join(ROOT_DIR, relativePath);
+    const parts = relativePath.split(sep).filter(Boolean);
+    
+    if (!filePath.startsWith(ROOT_DIR) || parts.some(part => part.startsWith('.'))) {
+        return null;
+    }
+    
+    const isPublic = parts.length === 1 ? PUBLIC_FILES.includes(parts[0]) : PUBLIC_DIRS.includes(parts[0]);
+    return isPublic ? filePath : null;
+};
+
+/**
+ * Envoie un fichier de l'application
+ * @param {import('node:http').ServerResponse} res - Réponse HTTP
+ * @param {string} pathname - Chemin demandé
+ * @returns {Promise<void>}
+ */
+export const sendStaticFile = async (res, pathname) => {
+    try {
+        const filePath = resolveStaticPath(pathname);
+        if (!filePath) {
+            res.writeHead(403).end();
+            return;
+        }
+        
+        const body = await readFile(filePath);
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(filePath)] || 'application/octet-stream' });
+        res.end(body);
+    } catch (error) {
+        res.writeHead(error.code === 'ENOENT' || error.code === 'EISDIR' ? 404 : 500).end();
+    }
+};
\ No newline at end of file
@@ -0,0 +1,64 @@
+// ===== TESTS DOM =====
+// html``, escapeHtml et setHTML face aux charges hostiles des fixtures
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupBrowser, findInjectedElements, HOSTILE_PAYLOADS } from './helpers/browser.mjs';
+
+let browser;
+let dom;
+
+before(async () => {
+    browser = await setupBrowser();
+    dom = await import('../js/dom.js');
+});
+
+after(() => browser.close());
+
+test('escapeHtml neutralise les caractères spéciaux du HTML', () => {
+    HOSTILE_PAYLOADS.forEach(payload => {
+        assert.doesNotMatch(dom.escapeHtml(payload), /[<>"'`]/);
+    });
+    assert.equal(dom.escapeHtml('Tom & Jerry'), 'Tom &amp; Jerry');
+});
+
+test('html`` garde une charge en texte et en attribut', () => {
+    const container = document.createElement('div');
+    
+    HOSTILE_PAYLOADS.forEach(payload => {
+        dom.setHTML(container, dom.html`<p class="title" title="${payload}" data-note='${payload}'>${payload}</p>`);
+        
+        assert.equal(container.children.length, 1);
+        assert.deepEqual([...container.firstElementChild.attributes].map(attribute => attribute.name), ['class', 'title', 'data-note']);
+        assert.equal(container.firstElementChild.textContent, payload);
+        assert.equal(container.firstElementChild.title, payload);
+        assert.equal(container.firstElementChild.dataset.note, payload);
+        assert.deepEqual(findInjectedElements(container), []);
+    });
+});
+
+test('html`` n\'échappe pas deux fois un fragment imbriqué, mais échappe son contenu', () => {
+    const container = document.createElement('ul');
+    const items = HOSTILE_PAYLOADS.map(payload => dom.html`<li>${payload}</li>`);
+    
+    dom.setHTML(container, dom.html`${items}`);
+    
+    assert.equal(container.querySelectorAll('li').length, HOSTILE_PAYLOADS.length);
+    assert.deepEqual([...container.children].map(item => item.textContent), HOSTILE_PAYLOADS);
+    assert.deepEqual(findInjectedElements(container), []);
+});
+
+test('html`` ignore null, undefined et false', () => {
+    assert.equal(String(dom.html`<p>${null}${undefined}${false}</p>`), '<p></p>');
+});
+
+test('setHTML insère une chaîne brute comme texte', () => {
+    const container = document.createElement('div');
+    
+    HOSTILE_PAYLOADS.forEach(payload => {
+        dom.setHTML(container, payload);
+        
+        assert.equal(container.children.length, 0);
+        assert.equal(container.textContent, payload);
+    });
+});
\ No newline at end of file
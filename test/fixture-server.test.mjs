@@ -0,0 +1,141 @@
+// ===== TESTS DU SERVEUR DE DÉMO =====
+// API simulée (routeApi) et injection d'erreurs (--fail, /__fixtures/*)
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    loadFixtures, routeApi, createFailureRule, consumeFailure, createFixtureServer
+} from '../server/fixture-server.mjs';
+
+let fixtures;
+
+before(async () => {
+    fixtures = await loadFixtures();
+});
+
+/**
+ * Interroge l'API simulée comme le ferait le serveur
+ * @param {string} path - Chemin sans /3
+ * @param {Object} params - Paramètres de la requête
+ * @returns {Object} { status, body }
+ */
+const get = (path, params = {}) => routeApi(path, new URLSearchParams(params), fixtures);
+
+// ===== ROUTES API =====
+
+test('discover applique les filtres de genre, de date et de personne', () => {
+    const { status, body } = get('/discover/movie', { with_genres: '878', without_genres: '18' });
+    const expected = fixtures.movies.filter(movie => movie.genre_ids.includes(878) && !movie.genre_ids.includes(18));
+    
+    assert.equal(status, 200);
+    assert.ok(expected.length > 0);
+    assert.deepEqual(body.results.map(movie => movie.id).sort(), expected.map(movie => movie.id).sort());
+    
+    const anyOf = get('/discover/movie', { with_genres: '14|9648' }).body.results;
+    assert.ok(anyOf.length > 0);
+    assert.ok(anyOf.every(movie => movie.genre_ids.includes(14) || movie.genre_ids.includes(9648)));
+    
+    const nineties = get('/discover/movie', { 'primary_release_date.gte': '1990-01-01', 'primary_release_date.lte': '1999-12-31' }).body.results;
+    assert.ok(nineties.length > 0);
+    assert.ok(nineties.every(movie => movie.release_date.startsWith('199')));
+    
+    const [director] = fixtures.movies[0].directors;
+    const directed = get('/discover/movie', { with_crew: String(director) }).body.results;
+    assert.deepEqual(
+        directed.map(movie => movie.id).sort(),
+        fixtures.movies.filter(movie => movie.directors.includes(director)).map(movie => movie.id).sort()
+    );
+});
+
+test('discover trie selon sort_by', () => {
+    const ratings = get('/discover/movie', { sort_by: 'vote_average.desc' }).body.results.map(movie => movie.vote_average);
+    assert.deepEqual(ratings, [...ratings].sort((a, b) => b - a));
+    
+    const dates = get('/discover/movie', { sort_by: 'primary_release_date.asc' }).body.results.map(movie => movie.release_date);
+    assert.deepEqual(dates, [...dates].sort());
+});
+
+test('les réponses sont paginées par 20', () => {
+    const total = fixtures.movies.length;
+    const first = get('/discover/movie').body;
+    
+    assert.equal(first.page, 1);
+    assert.equal(first.total_results, total);
+    assert.equal(first.total_pages, Math.ceil(total / 20));
+    assert.equal(first.results.length, Math.min(total, 20));
+    
+    const beyond = get('/discover/movie', { page: String(first.total_pages + 1) }).body;
+    assert.equal(beyond.page, first.total_pages + 1);
+    assert.deepEqual(beyond.results, []);
+    assert.equal(beyond.total_results, total);
+    
+    assert.equal(get('/discover/movie', { page: 'abc' }).body.page, 1);
+    assert.equal(get('/discover/movie', { page: '-3' }).body.page, 1);
+});
+
+test('une ressource inconnue renvoie une 404 au format TMDB', () => {
+    for (const path of ['/movie/1', '/tv/1', '/keyword/1', '/person/1/movie_credits', '/configuration', '/discover/person']) {
+        const { status, body } = get(path);
+        
+        assert.equal(status, 404, path);
+        assert.equal(body.success, false);
+        assert.equal(body.status_code, 34);
+    }
+    
+    assert.equal(get(`/movie/${fixtures.movies[0].id}`).status, 200);
+});
+
+// ===== INJECTION D'ERREURS =====
+
+test('createFailureRule refuse les statuts non pris en charge', () => {
+    assert.deepEqual(createFailureRule(500, '/discover', 2), { status: 500, path: '/discover', remaining: 2 });
+    assert.deepEqual(createFailureRule('timeout'), { status: 'timeout', path: '/', remaining: Infinity });
+    assert.equal(createFailureRule(418), null);
+    assert.equal(createFailureRule('abc'), null);
+});
+
+test('consumeFailure ne vise que le préfixe demandé, le nombre de fois demandé', () => {
+    const rule = createFailureRule(429, '/discover', 2);
+    
+    assert.equal(consumeFailure(null, '/discover/movie'), false);
+    assert.equal(consumeFailure(rule, '/search/movie'), false);
+    assert.equal(consumeFailure(rule, '/discover/movie'), true);
+    assert.equal(consumeFailure(rule, '/discover/tv'), true);
+    assert.equal(consumeFailure(rule, '/discover/movie'), false);
+    assert.equal(rule.remaining, 0);
+    
+    const always = createFailureRule(401);
+    for (let i = 0; i < 5; i++) {
+        assert.equal(consumeFailure(always, '/genre/movie/list'), true);
+    }
+});
+
+test('les erreurs s\'injectent et se retirent à chaud via /__fixtures', async () => {
+    const server = await createFixtureServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    const request = async (path) => {
+        const response = await fetch(`${origin}${path}`);
+        await response.arrayBuffer();
+        return response;
+    };
+    const status = async (path) => (await request(path)).status;
+    
+    try {
+        assert.equal(await status('/__fixtures/fail?status=418'), 400);
+        assert.equal(await status('/__fixtures/fail?status=500&path=/discover&count=1'), 200);
+        assert.equal(await status('/3/search/movie?query=a'), 200);
+        assert.equal(await status('/3/discover/movie'), 500);
+        assert.equal(await status('/3/discover/movie'), 200);
+        
+        assert.equal(await status('/__fixtures/fail?status=429'), 200);
+        const limited = await request('/3/genre/movie/list');
+        assert.equal(limited.status, 429);
+        assert.equal(limited.headers.get('retry-after'), '10');
+        
+        assert.equal(await status('/__fixtures/reset'), 200);
+        assert.equal(await status('/3/genre/movie/list'), 200);
+    } finally {
+        server.close();
+    }
+});
\ No newline at end of file
@@ -0,0 +1,113 @@
+// ===== ENVIRONNEMENT DE TEST =====
+// index.html dans jsdom, requêtes /api relayées vers le serveur de démo aux fixtures piégées (--hostile)
+
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+import { createFixtureServer } from '../../server/fixture-server.mjs';
+
+export { HOSTILE_PAYLOADS } from '../../server/fixture-server.mjs';
+
+// Globales du navigateur lues par les modules de js/
+const BROWSER_GLOBALS = [
+    'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+    'Node', 'HTMLElement', 'HTMLInputElement', 'HTMLDialogElement', 'DocumentFragment',
+    'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'PopStateEvent',
+    'requestAnimationFrame', 'cancelAnimationFrame', 'getComputedStyle'
+];
+
+const WAIT_TIMEOUT = 3000; // ms
+const WAIT_INTERVAL = 20; // ms
+
+/**
+ * Charge index.html (sans son script) dans jsdom et y expose l'API de démo piégée
+ * Les modules de js/ sont à importer ensuite (import dynamique), une fois les globales en place
+ * @param {Object} options - Options
+ * @param {boolean} options.hostile - Fixtures piégées (charges XSS dans toutes les chaînes TMDB)
+ * @returns {Promise<Object>} { window, document, close }
+ */
+export const setupBrowser = async ({ hostile = true } = {}) => {
+    const markup = (await readFile(new URL('../../index.html', import.meta.url), 'utf8'))
+        .replace(/<script type="module".*<\/script>/, '');
+    const dom = new JSDOM(markup, { url: 'http://localhost/', pretendToBeVisual: true });
+    const { window } = dom;
+    
+    BROWSER_GLOBALS.forEach(name => {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    });
+    
+    // jsdom ne fait aucune mise en page
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    
+    const server = await createFixtureServer({ hostile });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    
+    // /api/... (voir js/config.js) → /3/... du serveur de démo
+    const nodeFetch = globalThis.fetch;
+    globalThis.fetch = (input, options) => {
+        const url = new URL(input, window.location.href);
+        const target = url.pathname.startsWith('/api/') ? `${origin}/3${url.pathname.slice(4)}${url.search}` : url;
+        return nodeFetch(target, options);
+    };
+    
+    return {
+        window,
+        document: window.document,
+        close: () => {
+            globalThis.fetch = nodeFetch;
+            server.close();
+            window.close();
+        }
+    };
+};
+
+/**
+ * Attend qu'une condition soit remplie (rendu asynchrone, autocomplete différé...)
+ * @param {Function} predicate - Condition ; sa valeur (vraie) est renvoyée
+ * @param {string} description - Ce qui est attendu (message d'échec)
+ * @returns {Promise<*>} Valeur renvoyée par la condition
+ * @throws {Error} Si la condition n'est pas remplie à temps
+ */
+export const waitFor = async (predicate, description = 'condition') => {
+    const deadline = Date.now() + WAIT_TIMEOUT;
+    
+    while (Date.now() < deadline) {
+        const result = predicate();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, WAIT_INTERVAL));
+    }
+    throw new Error(`Délai dépassé en attendant : ${description}`);
+};
+
+/**
+ * Simule la saisie d'un texte dans un champ
+ * @param {HTMLInputElement} input - Champ
+ * @param {string} value - Texte saisi
+ */
+export const typeInto = (input, value) => {
+    input.focus();
+    input.value = value;
+    input.dispatchEvent(new input.ownerDocument.defaultView.Event('input', { bubbles: true }));
+};
+
+/**
+ * Liste les éléments injectés par une charge : <script>, ou attribut de gestionnaire (onerror, onmouseover...)
+ * @param {Element} root - Conteneur rendu
+ * @returns {Array<string>} Balises ouvrantes des éléments suspects (vide si aucun)
+ */
+export const findInjectedElements = (root) => {
+    return [...root.querySelectorAll('*')]
+        .filter(element => element.localName === 'script'
+            || [...element.attributes].some(attribute => attribute.name.startsWith('on')))
+        .map(element => element.outerHTML.slice(0, element.outerHTML.indexOf('>') + 1));
+};
+
+/**
+ * Indique si un texte contient l'une des charges hostiles, telle quelle
+ * @param {string} text - Texte affiché ou valeur d'attribut
+ * @param {Array<string>} payloads - Charges hostiles
+ * @returns {boolean} true si une charge apparaît intacte (donc traitée comme du texte)
+ */
+export const containsPayload = (text, payloads) => {
+    return payloads.some(payload => (text || '').includes(payload));
+};
\ No newline at end of file
@@ -0,0 +1,50 @@
+// ===== TESTS PROXY =====
+// Route /images : seules les affiches jpg/png passent, avec un type fixe et sans exécution possible
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProxyServer } from '../server/proxy.mjs';
+
+let server;
+let origin;
+const requested = [];
+
+before(async () => {
+    // TMDB simulé : annonce du SVG quoi qu'on lui demande
+    server = createProxyServer({
+        token: 'test',
+        fetch: async (url) => {
+            requested.push(String(url));
+            return new Response('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>', {
+                headers: { 'Content-Type': 'image/svg+xml' }
+            });
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('une affiche est servie avec un type fixé par son extension', async () => {
+    for (const [file, type] of [['poster.jpg', 'image/jpeg'], ['logo.png', 'image/png']]) {
+        const response = await fetch(`${origin}/images/w342/${file}`);
+        await response.arrayBuffer();
+        
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), type);
+        assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+        assert.equal(response.headers.get('content-security-policy'), 'default-src \'none\'');
+    }
+});
+
+test('les autres formats ne sont pas relayés', async () => {
+    requested.length = 0;
+    
+    for (const file of ['logo.svg', 'poster.jpg.svg', 'page.html']) {
+        const response = await fetch(`${origin}/images/w342/${file}`);
+        await response.arrayBuffer();
+        assert.equal(response.status, 404);
+    }
+    assert.deepEqual(requested, []);
+});
\ No newline at end of file
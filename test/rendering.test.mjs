@@ -0,0 +1,118 @@
+// ===== TESTS DE RENDU =====
+// Toute l'application face aux fixtures piégées : aucune chaîne TMDB ne doit produire d'élément ni d'attribut
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    setupBrowser, waitFor, typeInto, findInjectedElements, containsPayload, HOSTILE_PAYLOADS
+} from './helpers/browser.mjs';
+
+let browser;
+let document;
+
+/**
+ * Vérifie qu'un conteneur affiche des charges hostiles en texte, sans rien injecter
+ * @param {Element} root - Conteneur rendu
+ * @param {Array<string>} texts - Textes (ou attributs) où une charge doit apparaître intacte
+ */
+const assertRenderedSafely = (root, texts) => {
+    assert.deepEqual(findInjectedElements(root), []);
+    assert.ok(texts.some(text => containsPayload(text, HOSTILE_PAYLOADS)), 'aucune charge affichée en texte');
+};
+
+before(async () => {
+    browser = await setupBrowser();
+    document = browser.document;
+    
+    await import('../js/main.js');
+    await waitFor(() => document.querySelector('#genre-chips .chip') && document.querySelector('.provider-chip'), 'genres et plateformes');
+});
+
+after(() => browser.close());
+
+test('puces des genres et des plateformes', () => {
+    const filters = document.getElementById('filters-section');
+    
+    assertRenderedSafely(filters, [
+        ...[...filters.querySelectorAll('#genre-chips .chip')].map(chip => chip.textContent),
+        ...[...filters.querySelectorAll('.provider-chip')].map(chip => chip.textContent)
+    ]);
+});
+
+test('cartes du classement et logos des plateformes', async () => {
+    document.querySelector('#genre-chips .chip').click();
+    document.getElementById('search-filters').click();
+    
+    const container = document.getElementById('carousel-container');
+    await waitFor(() => container.querySelector('.movie-card .platform-logo'), 'cartes et plateformes');
+    const cards = [...container.querySelectorAll('.movie-card')];
+    
+    assertRenderedSafely(container, [
+        ...cards.map(card => card.querySelector('.card-title').textContent),
+        ...cards.map(card => card.querySelector('.card-poster').alt)
+    ]);
+    assertRenderedSafely(container, [...container.querySelectorAll('.platform-logo')].map(logo => logo.title));
+});
+
+test('fenêtre de détails', async () => {
+    document.querySelector('.movie-card .card-details-btn').click();
+    
+    const dialog = document.getElementById('movie-dialog');
+    await waitFor(() => dialog.querySelector('.dialog-title'), 'détails du film');
+    
+    assertRenderedSafely(dialog, [dialog.querySelector('.dialog-title').textContent, dialog.textContent]);
+});
+
+test('lignes de la watchlist', async () => {
+    document.querySelector('.dialog-close').click();
+    document.querySelectorAll('.movie-card .card-watchlist-btn').forEach(button => button.click());
+    
+    const list = document.getElementById('watchlist-items');
+    await waitFor(() => list.querySelector('.watchlist-item'), 'lignes de la watchlist');
+    
+    assertRenderedSafely(list, [...list.querySelectorAll('.watchlist-title')].map(title => title.textContent));
+});
+
+/**
+ * Saisit une recherche et attend les suggestions
+ * @param {string} inputId - ID du champ
+ * @param {string} listboxId - ID de la liste de suggestions
+ * @param {string} query - Recherche saisie
+ * @returns {Promise<Element>} Liste de suggestions remplie
+ */
+const showSuggestions = async (inputId, listboxId, query) => {
+    const listbox = document.getElementById(listboxId);
+    listbox.replaceChildren();
+    typeInto(document.getElementById(inputId), query);
+    
+    return waitFor(() => listbox.querySelector('.suggestion-item') && listbox, `suggestions pour ${query}`);
+};
+
+test('suggestions de personnes, y compris pour une recherche piégée', async () => {
+    for (const query of ['an', ...HOSTILE_PAYLOADS.map(payload => payload.slice(0, 6))]) {
+        const listbox = await showSuggestions('actor', 'actor-suggestions', query);
+        assertRenderedSafely(listbox, [listbox.textContent]);
+    }
+});
+
+test('suggestions de films', async () => {
+    document.getElementById('mode-similar').click();
+    
+    for (const query of ['the', HOSTILE_PAYLOADS[0].slice(0, 6)]) {
+        const listbox = await showSuggestions('movie-input', 'movie-suggestions', query);
+        assertRenderedSafely(listbox, [listbox.textContent]);
+    }
+});
+
+test('suggestions et puces des mots-clés', async () => {
+    document.getElementById('mode-filters').click();
+    
+    const listbox = await showSuggestions('keyword-input', 'keyword-suggestions', 'er');
+    assertRenderedSafely(listbox, [listbox.textContent]);
+    
+    listbox.querySelector('.suggestion-item').click();
+    
+    const chips = document.getElementById('keyword-chips');
+    await waitFor(() => chips.querySelector('.keyword-chip'), 'puce du mot-clé');
+    assertRenderedSafely(chips, [chips.textContent]);
+});
\ No newline at end of file
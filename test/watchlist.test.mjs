@@ -0,0 +1,71 @@
+// ===== TESTS WATCHLIST =====
+// Import d'un fichier mal typé : le panneau doit s'afficher, y compris après rechargement
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupBrowser } from './helpers/browser.mjs';
+
+let browser;
+
+before(async () => {
+    browser = await setupBrowser();
+});
+
+after(() => browser.close());
+
+/**
+ * Simule un fichier choisi par l'utilisateur
+ * @param {Object} payload - Contenu JSON du fichier
+ * @returns {Object} Objet exposant text(), comme un File
+ */
+const jsonFile = (payload) => ({ text: async () => JSON.stringify(payload) });
+
+test('un import aux champs mal typés n\'empêche pas le rendu, ni au rechargement', async () => {
+    const watchlist = await import('../js/watchlist.js');
+    watchlist.initWatchlist();
+    
+    const count = await watchlist.importWatchlist(jsonFile({
+        version: watchlist.WATCHLIST_VERSION,
+        items: [
+            { id: 1, title: 'Note en texte', vote_average: '8', release_date: 2010, poster_path: 42, media_type: 'book', addedAt: 'hier' },
+            { id: 2, title: 'Champs nuls', vote_average: null, release_date: null, poster_path: null, addedAt: null },
+            { id: '3', title: 'ID invalide' },
+            null
+        ]
+    }));
+    
+    assert.equal(count, 2);
+    assert.deepEqual(watchlist.getWatchlist().map(item => [item.media_type, item.vote_average, item.release_date, item.poster_path]), [
+        ['movie', 0, '', null],
+        ['movie', 0, '', null]
+    ]);
+    assert.ok(watchlist.getWatchlist().every(item => Number.isFinite(item.addedAt)));
+    
+    // Rechargement : nouvelle instance du module, relue depuis le localStorage
+    const reloaded = await import('../js/watchlist.js?reload');
+    reloaded.initWatchlist();
+    
+    const list = browser.document.getElementById('watchlist-items');
+    assert.equal(list.querySelectorAll('.watchlist-item').length, 2);
+    
+    ['year', 'rating', 'title', 'added'].forEach(order => {
+        const sortSelect = browser.document.getElementById('watchlist-sort');
+        sortSelect.value = order;
+        sortSelect.dispatchEvent(new browser.window.Event('change'));
+        assert.equal(list.querySelectorAll('.watchlist-item').length, 2);
+    });
+});
+
+test('une liste stockée aux champs mal typés est normalisée au chargement', async () => {
+    localStorage.setItem('4films:watchlist', JSON.stringify({
+        version: 1,
+        items: [{ id: 7, title: 'Stockée', vote_average: '7.5', release_date: ['2001'], addedAt: Infinity }, { title: 'Sans ID' }]
+    }));
+    
+    const reloaded = await import('../js/watchlist.js?stored');
+    reloaded.initWatchlist();
+    
+    const rows = browser.document.querySelectorAll('#watchlist-items .watchlist-item');
+    assert.equal(rows.length, 1);
+    assert.match(rows[0].querySelector('.watchlist-meta').textContent, /0\.0/);
+});
\ No newline at end of file